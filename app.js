@@ -27,11 +27,14 @@ map.addControl(new mapboxgl.NavigationControl({ showCompass: true, showZoom: tru
 // ─────────────────────────────────────────────────────────────
 // Map load: add contours and manage draw order
 // ─────────────────────────────────────────────────────────────
+// Contours hosted as GeoJSON (lightweight, no tile server dependency)
+// Also fetched directly by the elevation profile (see contour crossings below)
+const CONTOURS_URL = 'https://raw.githubusercontent.com/3070271J/holyrood-trails/main/contours_10m.geojson';
+
 map.on('load', () => {
-  // Contours hosted as GeoJSON (lightweight, no tile server dependency)
   map.addSource('contours', {
     type: 'geojson',
-    data: 'https://raw.githubusercontent.com/3070271J/holyrood-trails/main/contours_10m.geojson'
+    data: CONTOURS_URL
   });
 
   // Contour styling: index (every 50 m) vs regular, with subtle dash for regular
@@ -111,7 +114,7 @@ const palettes = {
     // Button colours (start/clear) and marker colours
     startBtnBg:'#dff5e1', startBtnBorder:'#9ed6aa', startBtnHover:'#c8ebcd',
     clearBtnBg:'#ffe5e5', clearBtnBorder:'#e0aaaa', clearBtnHover:'#f7cccc',
-    markerStart:'#2e7d32', markerEnd:'#c62828'
+    markerStart:'#2e7d32', markerEnd:'#c62828', markerVia:'#455a64'
   },
   cb: {
     // Adapted Paul Tol colour-blind friendly scheme
@@ -121,7 +124,7 @@ const palettes = {
     // Buttons/markers remapped away from red/green
     startBtnBg:'#d7e7f6', startBtnBorder:'#a9c7e3', startBtnHover:'#d1e5f0', // blueish
     clearBtnBg:'#fde9cc', clearBtnBorder:'#f0c993', clearBtnHover:'#fddbc7', // orangeish
-    markerStart:'#0072B2', markerEnd:'#D55E00'
+    markerStart:'#0072B2', markerEnd:'#D55E00', markerVia:'#555555'
   }
 };
 
@@ -133,6 +136,9 @@ const palettes = {
 // Read persisted colourblind mode (string '1' means enabled)
 let cbMode = (localStorage.getItem('cbMode') === '1');
 
+// Trails are coloured by 'difficulty' (default) or by their steepest 'gradient'
+let colourBy = localStorage.getItem('colourBy') === 'gradient' ? 'gradient' : 'difficulty';
+
 /** Return the current trail colour palette (by difficulty). */
 function getTrailPalette() {
   return cbMode ? palettes.cb.trail : palettes.normal.trail;
@@ -154,13 +160,12 @@ function refreshLegendColours() {
  * - body class for CSS-var button themes
  * - trail layer paint
  * - legend swatches
- * - persist mode in localStorage
+ * Only the toggle persists the mode; a shared link's `cb` lasts this session.
  */
 function applyColourMode(){
   document.body.classList.toggle('cb-mode', cbMode); // CSS vars for buttons
   refreshTrailLayerColours();  // trails
   refreshLegendColours();      // legend swatches
-  localStorage.setItem('cbMode', cbMode ? '1' : '0');
 }
 
 // Initialise colour state once map styles are ready
@@ -177,6 +182,7 @@ document.addEventListener('DOMContentLoaded', () => {
   if (!btn) return;
   btn.addEventListener('click', () => {
     cbMode = !cbMode;
+    localStorage.setItem('cbMode', cbMode ? '1' : '0');
     applyColourMode();
     applyFilter(); // re-run filters so inactive/active greying remains consistent
     // Reflect state in button label
@@ -186,10 +192,18 @@ document.addEventListener('DOMContentLoaded', () => {
   btn.textContent = cbMode ? 'Standard colours' : 'Colourblind mode';
 });
 
-/** Repaint trail layer line colours to the active palette (Mapbox 'match'). */
+/** Repaint trail layer line colours to the active palette (Mapbox 'match'), or by gradient band. */
 function refreshTrailLayerColours(){
   const pal = cbMode ? palettes.cb.trail : palettes.normal.trail;
-  if (map.getLayer('trails-active')){
+  if (map.getLayer('trails-active') && colourBy === 'gradient'){
+    // The gradient scale reads in colourblind mode too; unmeasured sections stay grey
+    map.setPaintProperty('trails-active','line-color', [
+      'case', ['==', ['typeof', ['get', 'max_gradient']], 'number'],
+      ['step', ['get', 'max_gradient'], GRADIENT_BANDS[0].colour,
+        ...GRADIENT_BANDS.slice(1).flatMap((band, i) => [GRADIENT_BANDS[i].max, band.colour])],
+      '#999999'
+    ]);
+  } else if (map.getLayer('trails-active')){
     map.setPaintProperty('trails-active','line-color', [
       'match', ['get','difficulty'],
       'easy', pal.easy,
@@ -204,6 +218,9 @@ function refreshTrailLayerColours(){
 // Tracks if user is in routing selection mode (start/end clicks)
 let routingActive = false;
 
+// Tracks if the next map click picks the origin for the reachability overlay
+let reachPicking = false;
+
 // ─────────────────────────────────────────────────────────────
 // Tutorial welcome popup (attach outside map load)
 // ─────────────────────────────────────────────────────────────
@@ -215,6 +232,296 @@ document.getElementById("skip-tutorial").addEventListener("click", () => {
   document.getElementById("welcome-popup").style.display = "none";
 });
 
+// ─────────────────────────────────────────────────────────────
+// Mobility profiles: named sets of thresholds on segment attributes
+// One set of rules drives both the map filter and routing
+// ─────────────────────────────────────────────────────────────
+
+// OSM-style grades, best → worst (missing values are common and pass)
+const SMOOTHNESS_ORDER = ['excellent', 'good', 'intermediate', 'bad', 'very_bad', 'horrible'];
+const VISIBILITY_ORDER = ['excellent', 'good', 'intermediate', 'bad', 'horrible', 'no'];
+
+/** Grades worse than the minimum ([] if no minimum is set). */
+function gradesWorseThan(min, order) {
+  return min ? order.slice(order.indexOf(min) + 1) : [];
+}
+
+// "Windy or wet today", set by hand in the toolbox. Only then does exposed ground count
+let weatherMode = false;
+
+// seg_ids with a recent condition report saved on this device (see Condition reports)
+let reportedSegs = new Set();
+
+// seg_id → closure in force today (see Temporary closures); routing never uses these
+let closedSegs = new Map();
+
+// Routing edges with a gradient under this (2%) count as level, neither up nor down
+const LEVEL_GRADE = 0.02;
+
+/** 'up', 'down' or 'level' for a routing edge label in its direction of travel. */
+function travelDirection(lab) {
+  if (lab.grade > LEVEL_GRADE) return 'up';
+  if (lab.grade < -LEVEL_GRADE) return 'down';
+  return 'level';
+}
+
+/**
+ * Does the steepness limit apply to this segment? Always when it applies both ways;
+ * otherwise only to routing edges going that way. Display features have no direction
+ * (no `rise`). Edges with unknown heights (rise null) or a contour grade too small to
+ * tell up from down count as steep both ways, so slope_class still decides.
+ */
+function steepCountsFor(p, t) {
+  if (t.steepDirection === 'both') return true;
+  if (p.rise === undefined) return false;
+  if (p.rise === null) return true;
+  const dir = travelDirection(p);
+  return dir === 'level' || dir === t.steepDirection;
+}
+
+/**
+ * Is the gradient over the limit? Edges carry `grade` (signed); display sections `max_gradient` (%).
+ * Edges with unknown heights (rise null) might be any gradient, so they count as over, as in steepCountsFor.
+ */
+function gradientOver(p, t) {
+  if (p.grade === undefined) return t.steepDirection === 'both' && Number(p.max_gradient) > t.maxGradient;
+  if (p.rise === null) return true;
+  const pct = p.grade * 100;
+  if (t.steepDirection === 'up') return pct > t.maxGradient;
+  if (t.steepDirection === 'down') return -pct > t.maxGradient;
+  return Math.abs(pct) > t.maxGradient;
+}
+
+/*
+  Conditions a segment can have, relative to the user's thresholds.
+  Each works on display feature properties and routing edge labels alike
+  (both use the GeoJSON attribute names):
+  - test(p, prefs): true if the segment has the condition
+  - expr(prefs):    the same test as a Mapbox expression
+*/
+const CONDITIONS = {
+  steep: {
+    label: 'steep slopes',
+    test: (p, t) => Number(p.slope_class) > t.maxSlopeClass && steepCountsFor(p, t),
+    // The map has no direction of travel: a limit for one direction leaves sections shown
+    expr: (t) => t.steepDirection === 'both' ? ['>', ['to-number', ['get', 'slope_class']], t.maxSlopeClass] : false
+  },
+  // Measured from the contours: routing edges by their own gradient (in the direction of
+  // travel), display sections by their steepest part. 0 = no limit
+  gradient: {
+    label: 'gradients over your limit',
+    test: (p, t) => t.maxGradient > 0 && gradientOver(p, t),
+    expr: (t) => (t.maxGradient > 0 && t.steepDirection === 'both')
+      ? ['>', ['coalesce', ['get', 'max_gradient'], 0], t.maxGradient]
+      : false
+  },
+  uneven: {
+    label: 'rough or uneven ground',
+    test: (p, t) => Number(p.surface_score) > t.maxSurfaceScore,
+    expr: (t) => ['>', ['to-number', ['get', 'surface_score']], t.maxSurfaceScore]
+  },
+  smoothness: {
+    label: 'poor surface smoothness',
+    test: (p, t) => gradesWorseThan(t.minSmoothness, SMOOTHNESS_ORDER).includes(String(p.smoothness || '').toLowerCase()),
+    expr: (t) => ['in', ['coalesce', ['get', 'smoothness'], ''], ['literal', gradesWorseThan(t.minSmoothness, SMOOTHNESS_ORDER)]]
+  },
+  visibility: {
+    label: 'faint paths',
+    test: (p, t) => gradesWorseThan(t.minVisibility, VISIBILITY_ORDER).includes(String(p.trail_visibility || '').toLowerCase()),
+    expr: (t) => ['in', ['coalesce', ['get', 'trail_visibility'], ''], ['literal', gradesWorseThan(t.minVisibility, VISIBILITY_ORDER)]]
+  },
+  // Most segments have no smoothness/visibility grade. Only relevant once a minimum
+  // is set; the user decides whether an unknown grade counts (default: it does)
+  unsurveyed: {
+    label: 'paths not surveyed for smoothness or visibility',
+    defaultLevel: 'ok',
+    test: (p, t) => Boolean((t.minSmoothness && !p.smoothness) || (t.minVisibility && !p.trail_visibility)),
+    expr: (t) => ['any',
+      ...(t.minSmoothness ? [['==', ['coalesce', ['get', 'smoothness'], ''], '']] : []),
+      ...(t.minVisibility ? [['==', ['coalesce', ['get', 'trail_visibility'], ''], '']] : [])]
+  },
+  steps: {
+    label: 'steps',
+    test: (p) => Number(p.has_steps) === 1,
+    expr: () => ['==', ['to-number', ['get', 'has_steps']], 1]
+  },
+  vertigo: {
+    label: 'exposed heights',
+    test: (p) => String(p.vertigo || '').toLowerCase() === 'yes',
+    expr: () => ['==', ['get', 'vertigo'], 'yes']
+  },
+  overgrowth: {
+    label: 'overgrowth',
+    test: (p) => String(p.natural || '').toLowerCase() === 'scrub', // scrub = overgrowth proxy
+    expr: () => ['==', ['coalesce', ['get', 'natural'], ''], 'scrub']
+  },
+  exposed: {
+    label: 'exposed ground in wind or rain',
+    defaultLevel: 'avoid',
+    test: (p) => weatherMode && String(p.exposed || '').toLowerCase() === 'yes',
+    expr: () => weatherMode ? ['==', ['get', 'exposed'], 'yes'] : false
+  },
+  reported: {
+    label: 'reported problems',
+    defaultLevel: 'avoid',
+    test: (p) => reportedSegs.has(p.seg_id),
+    expr: () => ['in', ['get', 'seg_id'], ['literal', [...reportedSegs]]]
+  }
+};
+const CONDITION_KEYS = Object.keys(CONDITIONS);
+
+// Cost multiplier for an "avoid if possible" condition (user-adjustable per condition)
+const DEFAULT_PENALTY = 4;
+
+/*
+  Preference shape (profiles, controls and storage all use this):
+  - maxSlopeClass:   1–6 (steeper is the "steep" condition)
+  - maxGradient:     steepest gradient in % (0 = no limit; steeper is the "gradient" condition)
+  - steepDirection:  'both' | 'up' | 'down' – which way of travel the slope/gradient limits are for
+                     ('up' = "I can go down steep but not up")
+  - maxSurfaceScore: 0 firm, 2 loose/grassy, 4 rough (rougher is "uneven")
+  - minSmoothness / minVisibility: worst acceptable grade ('' = any)
+  - levels:    condition → 'ok' | 'avoid' (penalised) | 'ban' (excluded);
+               unset levels are 'ban' unless the condition has a defaultLevel
+  - penalties: condition → cost multiplier used when level is 'avoid'
+*/
+function normalisePrefs(p = {}) {
+  // Profiles saved before levels existed used booleans (true = fine) for these three
+  const legacy = (v) => v === true ? 'ok' : (v === false ? 'ban' : undefined);
+  const levels = p.levels || {
+    steps: legacy(p.steps), vertigo: legacy(p.vertigo), overgrowth: legacy(p.overgrowth)
+  };
+  const out = {
+    maxSlopeClass:   Number(p.maxSlopeClass ?? 6),
+    maxGradient:     Number(p.maxGradient) || 0,
+    steepDirection:  ['up', 'down'].includes(p.steepDirection) ? p.steepDirection : 'both',
+    maxSurfaceScore: Number(p.maxSurfaceScore ?? 4),
+    minSmoothness:   p.minSmoothness || '',
+    minVisibility:   p.minVisibility || '',
+    levels: {},
+    penalties: {}
+  };
+  CONDITION_KEYS.forEach(k => {
+    out.levels[k] = ['ok', 'avoid', 'ban'].includes(levels[k]) ? levels[k] : (CONDITIONS[k].defaultLevel || 'ban');
+    out.penalties[k] = Number(p.penalties?.[k]) || DEFAULT_PENALTY;
+  });
+  return out;
+}
+
+function samePrefs(a, b) {
+  return JSON.stringify(normalisePrefs(a)) === JSON.stringify(normalisePrefs(b));
+}
+
+const BUILTIN_PROFILES = {
+  everyone: {
+    name: 'No restrictions',
+    prefs: normalisePrefs({ maxSlopeClass: 6, maxSurfaceScore: 4,
+      levels: { steps: 'ok', vertigo: 'ok', overgrowth: 'ok' } })
+  },
+  wheelchair: {
+    name: 'Wheelchair user',
+    prefs: normalisePrefs({ maxSlopeClass: 2, maxGradient: 8, maxSurfaceScore: 0, minSmoothness: 'intermediate',
+      levels: { steps: 'ban', vertigo: 'ban', overgrowth: 'ban', unsurveyed: 'avoid' } })
+  },
+  pushchair: {
+    name: 'Pushchair',
+    prefs: normalisePrefs({ maxSlopeClass: 3, maxSurfaceScore: 2, minSmoothness: 'bad',
+      levels: { uneven: 'avoid', steps: 'ban', vertigo: 'avoid', overgrowth: 'ban' } })
+  },
+  walkingAid: {
+    name: 'Walking aid',
+    prefs: normalisePrefs({ maxSlopeClass: 3, maxSurfaceScore: 2, minSmoothness: 'bad', minVisibility: 'intermediate',
+      levels: { steps: 'ban', vertigo: 'ban', overgrowth: 'avoid' } })
+  },
+  olderWalker: {
+    name: 'Older walker',
+    prefs: normalisePrefs({ maxSlopeClass: 4, maxSurfaceScore: 2, minSmoothness: 'very_bad', minVisibility: 'intermediate',
+      levels: { steep: 'avoid', uneven: 'avoid', steps: 'avoid', vertigo: 'ban', overgrowth: 'avoid' } })
+  },
+  hillwalker: {
+    name: 'Confident hillwalker',
+    prefs: normalisePrefs({ maxSlopeClass: 6, maxSurfaceScore: 4,
+      levels: { steps: 'ok', vertigo: 'ok', overgrowth: 'avoid' } })
+  }
+};
+
+/** Saved custom profiles from localStorage: { name: prefs }. */
+function loadCustomProfiles() {
+  try {
+    return JSON.parse(localStorage.getItem('customProfiles')) || {};
+  } catch (err) {
+    return {}; // corrupt entry → start fresh
+  }
+}
+
+function saveCustomProfiles(profiles) {
+  localStorage.setItem('customProfiles', JSON.stringify(profiles));
+}
+
+// Toolbox control ids per condition: threshold conditions pick "avoid"/"never" beyond
+// the threshold; on/off conditions pick "fine"/"avoid"/"never" directly
+const LEVEL_CONTROL_IDS = {
+  steep: 'pref-slope-level', gradient: 'pref-gradient-level', uneven: 'pref-surface-level',
+  smoothness: 'pref-smoothness-level', visibility: 'pref-visibility-level', unsurveyed: 'pref-unsurveyed',
+  steps: 'pref-steps', vertigo: 'pref-vertigo', overgrowth: 'pref-overgrowth', exposed: 'pref-exposed',
+  reported: 'pref-reported'
+};
+
+/** Current preferences read from the toolbox controls. */
+function getPrefs() {
+  const levels = {}, penalties = {};
+  CONDITION_KEYS.forEach(k => {
+    levels[k] = document.getElementById(LEVEL_CONTROL_IDS[k]).value;
+    penalties[k] = Number(document.getElementById(`penalty-${k}`).value);
+  });
+  return normalisePrefs({
+    maxSlopeClass:   document.getElementById('pref-slope').value,
+    maxGradient:     document.getElementById('pref-gradient').value,
+    steepDirection:  document.getElementById('pref-slope-direction').value,
+    maxSurfaceScore: document.getElementById('pref-surface').value,
+    minSmoothness:   document.getElementById('pref-smoothness').value,
+    minVisibility:   document.getElementById('pref-visibility').value,
+    levels, penalties
+  });
+}
+
+/** Write preferences into the toolbox controls. */
+function setPrefs(prefs) {
+  const p = normalisePrefs(prefs);
+  document.getElementById('pref-slope').value = String(p.maxSlopeClass);
+  document.getElementById('pref-gradient').value = String(p.maxGradient);
+  document.getElementById('pref-slope-direction').value = p.steepDirection;
+  document.getElementById('pref-surface').value = String(p.maxSurfaceScore);
+  document.getElementById('pref-smoothness').value = p.minSmoothness;
+  document.getElementById('pref-visibility').value = p.minVisibility;
+  CONDITION_KEYS.forEach(k => {
+    const levelEl = document.getElementById(LEVEL_CONTROL_IDS[k]);
+    // Threshold controls have no "fine" option: the threshold itself says what's fine
+    levelEl.value = (p.levels[k] === 'ok' && !levelEl.querySelector('option[value="ok"]')) ? 'ban' : p.levels[k];
+    document.getElementById(`penalty-${k}`).value = String(p.penalties[k]);
+  });
+}
+
+/** Condition keys a segment has under these preferences (e.g. ['steep','steps']). */
+function conditionsOf(p, prefs) {
+  return CONDITION_KEYS.filter(k => CONDITIONS[k].test(p, prefs));
+}
+
+/** Does a segment pass (no banned condition)? */
+function passesPrefs(p, prefs) {
+  return conditionsOf(p, prefs).every(k => prefs.levels[k] !== 'ban');
+}
+
+/** Mapbox expression equivalent of passesPrefs (true where a segment passes). */
+function prefsFilterExpr(prefs) {
+  return [
+    'all',
+    ...CONDITION_KEYS
+      .filter(k => prefs.levels[k] === 'ban')
+      .map(k => ['!', CONDITIONS[k].expr(prefs)])
+  ];
+}
+
 // ─────────────────────────────────────────────────────────────
 // Filtering logic: difficulty + preference bans → active/inactive layers
 // Uses Mapbox GL expression filters for performance
@@ -225,11 +532,8 @@ function applyFilter() {
     document.querySelectorAll('#toolbox input[type="checkbox"][value]:checked')
   ).map(i => i.value);
 
-  // Preference toggles (true = allow/show those conditions)
-  const showVertigoRisk = document.getElementById('pref-vertigo').checked;
-  const showSteepSlopes = document.getElementById('pref-steep').checked;
-  const showUnevenGround = document.getElementById('pref-uneven').checked;
-  const showOvergrowth   = document.getElementById('pref-overgrowth').checked;
+  // Profile thresholds (same rules as routing)
+  const prefsOk = prefsFilterExpr(getPrefs());
 
   // Active layer: show only what is allowed by difficulty + preferences
   if (map.getLayer('trails-active')) {
@@ -237,11 +541,8 @@ function applyFilter() {
       'all',
       // Difficulty must be in the checked list
       ['in', ['get', 'difficulty'], ['literal', checked]],
-      // Preference bans: if user disallows an attribute, exclude those features
-      showVertigoRisk ? true : ['!=', ['get', 'vertigo'], 'yes'],
-      showSteepSlopes ? true : ['<', ['get', 'slope_class'], 5],        // class >=5 are “steep”
-      showUnevenGround ? true : ['!=', ['get', 'surface_score'], 4],    // 4 is max (rough/rocky)
-      showOvergrowth ? true : ['!=', ['coalesce', ['get', 'natural'], ''], 'scrub'] // scrub = overgrowth proxy
+      // Profile thresholds: exclude features the user can't manage
+      prefsOk
     ]);
   }
 
@@ -251,14 +552,22 @@ function applyFilter() {
       'any',
       // Not in the allowed difficulty set
       ['!', ['in', ['get', 'difficulty'], ['literal', checked]]],
-      // Or excluded by a preference ban
-      showVertigoRisk ? false : ['==', ['get', 'vertigo'], 'yes'],
-      showSteepSlopes ? false : ['>=', ['get', 'slope_class'], 5],
-      showUnevenGround ? false : ['==', ['get', 'surface_score'], 4],
-      showOvergrowth ? false : ['==', ['coalesce', ['get', 'natural'], ''], 'scrub']
+      // Or excluded by a profile threshold
+      ['!', prefsOk]
     ]);
   }
 
+  // Weather mode: stripe the exposed sections that are still shown
+  if (map.getLayer('trails-exposed')) {
+    map.setFilter('trails-exposed', [
+      'all',
+      ['in', ['get', 'difficulty'], ['literal', checked]],
+      prefsOk,
+      ['==', ['get', 'exposed'], 'yes']
+    ]);
+    map.setLayoutProperty('trails-exposed', 'visibility', weatherMode ? 'visible' : 'none');
+  }
+  document.getElementById('legend-exposed').hidden = !weatherMode;
 
   // legend sync (runs at the end of applyFilter to visually dim/restore items)
   document.querySelectorAll('#legend div[difficulty]').forEach(legendRow => {
@@ -302,20 +611,238 @@ document.querySelectorAll('#toolbox input[type="checkbox"][value]').forEach(cb =
 });
 
 // ─────────────────────────────────────────────────────────────
-// Preference checkboxes: re-filter when toggled
-// (true = user accepts that condition; false = exclude)
+// Profile picker + threshold controls
+// Picking a profile fills the controls; tweaking a control marks it modified
+// ─────────────────────────────────────────────────────────────
+const PREF_CONTROL_IDS = [
+  'pref-slope', 'pref-gradient', 'pref-slope-direction', 'pref-surface', 'pref-smoothness', 'pref-visibility',
+  ...Object.values(LEVEL_CONTROL_IDS),
+  ...CONDITION_KEYS.map(k => `penalty-${k}`)
+];
+const profileSelect = document.getElementById('profile-select');
+
+/** Look up a profile by select value ('builtin:key' or 'custom:name'). */
+function profileByKey(key) {
+  const [kind, name] = String(key).split(/:(.*)/s);
+  if (kind === 'builtin') return BUILTIN_PROFILES[name] || null;
+  if (kind === 'custom') {
+    const prefs = loadCustomProfiles()[name];
+    return prefs ? { name, prefs: normalisePrefs(prefs), custom: true } : null;
+  }
+  return null;
+}
+
+/** Rebuild the profile dropdown (built-ins, then saved custom profiles). */
+function populateProfileSelect(selectedKey) {
+  const custom = loadCustomProfiles();
+  const opt = (value, text) => {
+    const o = document.createElement('option');
+    o.value = value; o.textContent = text;
+    return o;
+  };
+  profileSelect.innerHTML = '';
+  Object.entries(BUILTIN_PROFILES).forEach(([k, p]) => profileSelect.appendChild(opt(`builtin:${k}`, p.name)));
+  if (Object.keys(custom).length) {
+    const group = document.createElement('optgroup');
+    group.label = 'Saved profiles';
+    Object.keys(custom).forEach(name => group.appendChild(opt(`custom:${name}`, name)));
+    profileSelect.appendChild(group);
+  }
+  // Placeholder shown once the controls no longer match any profile
+  const modified = opt('', 'Custom (unsaved)');
+  modified.hidden = true;
+  profileSelect.appendChild(modified);
+  profileSelect.value = selectedKey;
+  updateProfileButtons();
+}
+
+// Only saved custom profiles can be deleted
+function updateProfileButtons() {
+  document.getElementById('profile-delete').disabled = !profileSelect.value.startsWith('custom:');
+}
+
+function selectProfile(key) {
+  const profile = profileByKey(key) || BUILTIN_PROFILES.everyone;
+  if (!profileByKey(key)) key = 'builtin:everyone';
+  setPrefs(profile.prefs);
+  profileSelect.value = key;
+  localStorage.setItem('profile', key);
+  updateProfileButtons();
+  applyFilter();
+}
+
+profileSelect.addEventListener('change', () => selectProfile(profileSelect.value));
+
+// Any tweak: re-filter, and flag the profile as modified if it no longer matches
+PREF_CONTROL_IDS.forEach(id => {
+  document.getElementById(id).addEventListener('change', () => {
+    const current = profileByKey(profileSelect.value);
+    if (current && !samePrefs(current.prefs, getPrefs())) {
+      profileSelect.value = '';
+      updateProfileButtons();
+    }
+    applyFilter();
+  });
+});
+
+// Weather mode: exposed ground becomes a condition; an open segment panel gains/loses its card
+document.getElementById('weather-mode').addEventListener('change', (e) => {
+  weatherMode = e.target.checked;
+  applyFilter();
+  const shown = urlState.seg !== null && trailPropsBySeg.get(urlState.seg);
+  if (shown) segmentActions.show?.(shown);
+});
+
+document.getElementById('profile-save').addEventListener('click', () => {
+  const name = (window.prompt('Name for this profile:') || '').trim();
+  if (!name) return;
+  const custom = loadCustomProfiles();
+  custom[name] = getPrefs();
+  saveCustomProfiles(custom);
+  populateProfileSelect(`custom:${name}`);
+  localStorage.setItem('profile', `custom:${name}`);
+});
+
+document.getElementById('profile-delete').addEventListener('click', () => {
+  const key = profileSelect.value;
+  if (!key.startsWith('custom:')) return;
+  const name = key.slice('custom:'.length);
+  if (!window.confirm(`Delete the profile "${name}"?`)) return;
+  const custom = loadCustomProfiles();
+  delete custom[name];
+  saveCustomProfiles(custom);
+  populateProfileSelect('builtin:everyone');
+  selectProfile('builtin:everyone');
+});
+
+// Restore the last used profile (falls back to "No restrictions")
+populateProfileSelect('builtin:everyone');
+selectProfile(localStorage.getItem('profile') || 'builtin:everyone');
+
+// ─────────────────────────────────────────────────────────────
+// Shareable URL state (hash): view, filters, preferences, colour mode,
+// selected segment and route waypoints, e.g.
+//   #map=15.5/55.94800/-3.16100&diff=easy,moderate&profile=wheelchair&seg=302
+//   &route=-3.171957,55.950096;-3.161857,55.944089&alt=shortest   (or &loop=1.5 for a loop)
+// Opening a link restores the view and re-solves the same route.
+// Segment + route are restored once their data has loaded (see below).
 // ─────────────────────────────────────────────────────────────
-document.getElementById('pref-vertigo')
-  .addEventListener('change', applyFilter);
+const PREF_URL_KEYS = { slope: 'maxSlopeClass', grad: 'maxGradient', slopedir: 'steepDirection', surface: 'maxSurfaceScore', smooth: 'minSmoothness', vis: 'minVisibility' };
+
+/** Preferences as "key:value" pairs, listing only what differs from "No restrictions". */
+function encodePrefs(prefs) {
+  const base = BUILTIN_PROFILES.everyone.prefs;
+  const parts = [];
+  Object.entries(PREF_URL_KEYS).forEach(([short, k]) => { if (prefs[k] !== base[k]) parts.push(`${short}:${prefs[k]}`); });
+  CONDITION_KEYS.forEach(k => {
+    if (prefs.levels[k] !== base.levels[k]) parts.push(`${k}:${prefs.levels[k]}`);
+    if (prefs.penalties[k] !== base.penalties[k]) parts.push(`pen.${k}:${prefs.penalties[k]}`);
+  });
+  return parts.join(',');
+}
+
+function decodePrefs(str) {
+  const raw = { levels: {}, penalties: {} };
+  str.split(',').filter(Boolean).forEach(pair => {
+    const [k, v] = pair.split(':');
+    if (PREF_URL_KEYS[k]) raw[PREF_URL_KEYS[k]] = v;
+    else if (CONDITION_KEYS.includes(k)) raw.levels[k] = v;
+    else if (k.startsWith('pen.')) raw.penalties[k.slice(4)] = v;
+  });
+  // Unlisted levels fall back to "No restrictions", not to 'ban'
+  raw.levels = { ...BUILTIN_PROFILES.everyone.prefs.levels, ...raw.levels };
+  return normalisePrefs(raw);
+}
+
+function readUrlHash() {
+  const h = new URLSearchParams(location.hash.slice(1));
+  const view = (h.get('map') || '').split('/').map(Number);
+  return {
+    view: view.length === 3 && view.every(Number.isFinite) ? { zoom: view[0], center: [view[2], view[1]] } : null,
+    diff: h.has('diff') ? h.get('diff').split(',').filter(d => difficultyOrder.includes(d)) : null,
+    profile: h.get('profile'),
+    prefs: h.has('prefs') ? decodePrefs(h.get('prefs')) : null,
+    cb: h.has('cb') ? h.get('cb') === '1' : null,
+    seg: h.has('seg') ? Number(h.get('seg')) : null,
+    route: (h.get('route') || '').split(';').map(pt => pt.split(',').map(Number))
+      .filter(c => c.length === 2 && c.every(Number.isFinite)),
+    alt: h.get('alt'),
+    loop: Number(h.get('loop')) > 0 ? Number(h.get('loop')) : null,
+    weather: h.get('wx') === '1'
+  };
+}
+
+const initialUrlState = readUrlHash();
+
+// Segment + route live in other closures; they report here and the writer reads it
+const urlState = { seg: initialUrlState.seg, route: initialUrlState.route, alt: initialUrlState.alt };
+
+function writeUrlHash() {
+  const h = new URLSearchParams();
+  const c = map.getCenter();
+  h.set('map', `${map.getZoom().toFixed(2)}/${c.lat.toFixed(5)}/${c.lng.toFixed(5)}`);
+  const diff = getCheckedDifficulties();
+  if (diff.length !== difficultyOrder.length) h.set('diff', diff.join(','));
+  // A built-in profile is named; anything else travels as explicit values
+  const profile = profileSelect.value;
+  if (profile.startsWith('builtin:')) {
+    if (profile !== 'builtin:everyone') h.set('profile', profile.slice('builtin:'.length));
+  } else {
+    const prefs = encodePrefs(getPrefs());
+    if (prefs) h.set('prefs', prefs);
+  }
+  if (cbMode) h.set('cb', '1');
+  if (weatherMode) h.set('wx', '1');
+  if (urlState.seg !== null) h.set('seg', String(urlState.seg));
+  if (urlState.route.length) {
+    h.set('route', urlState.route.map(pt => `${pt[0].toFixed(6)},${pt[1].toFixed(6)}`).join(';'));
+    if (urlState.alt) h.set('alt', urlState.alt);
+  }
+  if (getRouteMode() === 'loop') h.set('loop', String(getLoopTargetM() / 1000));
+  // Keep ':' and ',' readable in shared links
+  const hash = h.toString().replace(/%3A/g, ':').replace(/%2C/g, ',').replace(/%3B/g, ';').replace(/%2F/g, '/');
+  history.replaceState(null, '', `${location.pathname}${location.search}#${hash}`);
+}
 
-document.getElementById('pref-steep')
-  .addEventListener('change', applyFilter);
+// Coalesce bursts of changes (map panning, several controls) into one write
+let urlHashTimer = null;
+function scheduleUrlHash() {
+  clearTimeout(urlHashTimer);
+  urlHashTimer = setTimeout(writeUrlHash, 250);
+}
 
-document.getElementById('pref-uneven')
-  .addEventListener('change', applyFilter);
+// Restore what can be restored straight away
+if (initialUrlState.view) map.jumpTo(initialUrlState.view);
+if (initialUrlState.cb !== null) cbMode = initialUrlState.cb;
+if (initialUrlState.weather) {
+  weatherMode = true;
+  document.getElementById('weather-mode').checked = true;
+}
+if (initialUrlState.diff) {
+  document.querySelectorAll('#toolbox input[type="checkbox"][value]').forEach(box => {
+    box.checked = initialUrlState.diff.includes(box.value);
+  });
+}
+if (initialUrlState.loop) {
+  document.querySelector('#toolbox input[name="route-mode"][value="loop"]').checked = true;
+  document.getElementById('loop-length').value = String(initialUrlState.loop);
+  document.getElementById('loop-options').hidden = false;
+  document.getElementById('place-end-row').hidden = true;
+}
+if (initialUrlState.profile) {
+  selectProfile(`builtin:${initialUrlState.profile}`);
+} else if (initialUrlState.prefs) {
+  setPrefs(initialUrlState.prefs);
+  profileSelect.value = '';
+  updateProfileButtons();
+}
+applyFilter();
 
-document.getElementById('pref-overgrowth')
-  .addEventListener('change', applyFilter);
+map.on('moveend', scheduleUrlHash);
+document.getElementById('toolbox').addEventListener('change', scheduleUrlHash);
+document.getElementById('toggle-colourblind').addEventListener('click', scheduleUrlHash);
+// A pasted link replaces the whole state, which is simplest to honour with a fresh start
+window.addEventListener('hashchange', () => location.reload());
 
 // ─────────────────────────────────────────────────────────────
 // Helpers for mapping UI → difficulty and scores → labels
@@ -328,6 +855,17 @@ function getCheckedDifficulties() {
   ).map(i => i.value);
 }
 
+/** 'route' (A → B via stops) or 'loop' (back to the start), from the Route Finder. */
+function getRouteMode() {
+  return document.querySelector('#toolbox input[name="route-mode"]:checked')?.value || 'route';
+}
+
+/** Target loop length in metres (input is in km). */
+function getLoopTargetM() {
+  const km = Number(document.getElementById('loop-length')?.value);
+  return (Number.isFinite(km) && km > 0 ? km : 1.5) * 1000;
+}
+
 /** Convert numeric total_score to a difficulty bucket. */
 function scoreToDifficulty(score) {
   if (score <= 3) return 'easy';
@@ -336,6 +874,70 @@ function scoreToDifficulty(score) {
   return 'extreme';
 }
 
+// Short difficulty labels (as used in the info panel header badge)
+const DIFFICULTY_LABELS = { easy: 'Gentle', moderate: 'Moderate', challenging: 'Challenging', extreme: 'Not recommended' };
+
+// Warning card titles per warning key (info panel wording)
+const WARNING_LABELS = {
+  vertigo: 'Vertigo risk', steep: 'Steep slope', uneven: 'Uneven ground', steps: 'Steps', overgrowth: 'Overgrowth',
+  smoothness: 'Bumpy surface', visibility: 'Faint path', exposed: 'Exposed to the weather'
+};
+// Warning card text per warning key (info panel, route summary)
+const WARNING_TEXTS = {
+  vertigo: 'This section feels exposed and high.',
+  steep: 'Inclines may be difficult for some users.',
+  uneven: 'Expect rough or bumpy surfaces.',
+  steps: 'This section includes steps that may be difficult for some users.',
+  overgrowth: 'Nettles or thorns may be present.',
+  smoothness: 'The surface is broken or rutted; wheels and walking aids may struggle.',
+  visibility: 'The path is hard to make out on the ground and easy to lose.',
+  exposed: 'Open ground with no shelter: expect strong gusts, and wet grass or rock underfoot.'
+};
+
+// Surveyed grades that earn a warning card (whatever the user's own minimum)
+const POOR_SMOOTHNESS = gradesWorseThan('intermediate', SMOOTHNESS_ORDER);
+const POOR_VISIBILITY = gradesWorseThan('intermediate', VISIBILITY_ORDER);
+
+/**
+ * Warning keys for a segment, matching the info panel warning cards:
+ * 'vertigo', 'steep' (slope_class ≥ 5), 'uneven' (surface_score 4), 'steps', 'overgrowth' (scrub),
+ * 'smoothness' (bad or worse), 'visibility' (bad or worse), 'exposed' (weather mode only).
+ * Missing grades give no warning.
+ * Works on display properties and routing edge labels.
+ */
+function segmentWarnings(p) {
+  const out = [];
+  if (String(p.vertigo || '').toLowerCase() === 'yes') out.push('vertigo');
+  if (Number(p.slope_class) >= 5) out.push('steep');
+  if (Number(p.surface_score) === 4) out.push('uneven');
+  if (Number(p.has_steps) === 1) out.push('steps');
+  if (String(p.natural || '').toLowerCase() === 'scrub') out.push('overgrowth');
+  if (POOR_SMOOTHNESS.includes(String(p.smoothness || '').toLowerCase())) out.push('smoothness');
+  if (POOR_VISIBILITY.includes(String(p.trail_visibility || '').toLowerCase())) out.push('visibility');
+  if (weatherMode && String(p.exposed || '').toLowerCase() === 'yes') out.push('exposed');
+  return out;
+}
+
+// Plain wording for the surveyed grades (info panel)
+const SMOOTHNESS_WORDS = {
+  excellent: 'very smooth', good: 'smooth', intermediate: 'fairly smooth',
+  bad: 'bumpy', very_bad: 'very bumpy', horrible: 'badly broken'
+};
+const VISIBILITY_WORDS = {
+  excellent: 'very clear', good: 'clear', intermediate: 'mostly clear',
+  bad: 'faint', horrible: 'very faint', no: 'not visible on the ground'
+};
+
+/** Sentence on surface smoothness + path visibility, saying plainly when they weren't surveyed. */
+function smoothnessVisibilitySentence(p) {
+  const smooth = SMOOTHNESS_WORDS[String(p.smoothness || '').toLowerCase()];
+  const vis = VISIBILITY_WORDS[String(p.trail_visibility || '').toLowerCase()];
+  if (smooth && vis) return `The surface is ${smooth} and the path is ${vis}.`;
+  if (smooth) return `The surface is ${smooth}; path visibility has not been surveyed.`;
+  if (vis) return `The path is ${vis}; surface smoothness has not been surveyed.`;
+  return 'Surface smoothness and path visibility have not been surveyed here.';
+}
+
 // ─────────────────────────────────────────────────────────────
 // Photo helpers: map landcover/surface tags → example images
 // Used in info panel popups to set expectations visually
@@ -364,176 +966,1594 @@ function surfacePhotoUrl(sf) {
 }
 
 // ─────────────────────────────────────────────────────────────
-// Map load: add trail source + base inactive layer
-// 'trails' GeoJSON includes 'difficulty' used for styling/filtering
-// ─────────────────────────────────────────────────────────────
-map.on("load", () => {
-  // Source for display (HAS 'difficulty')
-  map.addSource("trails", {
-    type: "geojson",
-    data: "https://raw.githubusercontent.com/3070271J/holyrood-trails/refs/heads/main/trails_webmap_v6.geojson"
-  });
-
-  // Layer for display (inactive below, grey + non-interactive)
-  map.addLayer({
-    id: "trails-inactive",
-    type: "line",
-    source: "trails",
-    paint: {
-      "line-color": "#999999",
-      "line-width": 3,
-      "line-opacity": 0.6
-    },
-    // start with nothing shown here; filters will control visibility later
-    filter: ["==", ["get", "difficulty"], "__none__"]
-  });
-
-// ─────────────────────────────────────────────────────────────
-// Trails (active) layer: coloured + interactive
-// 1) Add layer with a temporary colour; palette is applied right after
-// ─────────────────────────────────────────────────────────────
-map.addLayer({
-  id: "trails-active",
-  type: "line",
-  source: "trails",
-  paint: {
-    "line-color": "#999999",   // temp; real colors set right after
-    "line-width": 3
-  },
-  // show everything for now; step 2 will make this dynamic
-  filter: ["in", ["get", "difficulty"], ["literal", ["easy","moderate","challenging","extreme"]]]
-});
-
-// 2) Immediately after the layer is added, apply the palette-driven colors
-refreshTrailLayerColours();
-
-// ─────────────────────────────────────────────────────────────
-// Pointer feedback + popup trigger (disabled during routing selection)
+// Surface/landcover wording (info panel + route directions)
 // ─────────────────────────────────────────────────────────────
-map.on('mouseenter', 'trails-active', () => map.getCanvas().style.cursor = 'pointer');
-map.on('mouseleave', 'trails-active', () => map.getCanvas().style.cursor = '');
-
-map.on('click', 'trails-active', (e) => {
-  if (routingActive) return; // suppress popups during selection
-  const p = e.features[0].properties;
-
-  // --- Difficulty mapping for header badge (short label + emoji) ---
-  const diffKey = String(p.difficulty || '').toLowerCase();
-  const diffShort =
-    diffKey === 'easy'        ? 'Gentle' :
-    diffKey === 'moderate'    ? 'Moderate' :
-    diffKey === 'challenging' ? 'Challenging' :
-    diffKey === 'extreme'     ? 'Not recommended' : (p.difficulty || '—');
-
-  const diffEmoji =
-    diffKey === 'easy'        ? '🙂' :
-    diffKey === 'moderate'    ? '😐' :
-    diffKey === 'challenging' ? '⚠️' :
-    diffKey === 'extreme'     ? '🚧' : '';
-
-  // --- Difficulty sentence (body, first sentence) ---
-  let diffSentence = '';
-  switch (diffKey) {
-    case 'easy':
-      diffSentence = 'This part of the trail is gentle and straightforward.';
-      break;
-    case 'moderate':
-      diffSentence = 'This part of the trail has some steep or uneven sections.';
-      break;
-    case 'challenging':
-      diffSentence = 'This part of the trail requires <b>significant effort</b>. Plan and prepare accordingly.';
-      break;
-    case 'extreme':
-      diffSentence = 'This part of the trail is <b>not recommended</b> for most users.';
-      break;
-  }
-
-  // --- Build paragraph: difficulty + merged surface/landcover ---
-  let paragraph = diffSentence;
 
-  const haveSurface  = p.surface && p.surface.trim() !== '';
-  const haveLC       = p.landcover && p.landcover.trim() !== '';
+/**
+ * Readable surface + landcover phrases for a segment, e.g. { surface: 'rocky', landcover: 'woodland' }.
+ * Missing values come back as ''. Landcover is dropped when it just repeats the surface.
+ */
+function surfaceWording(p) {
+  const haveSurface  = p.surface && String(p.surface).trim() !== '';
+  const haveLC       = p.landcover && String(p.landcover).trim() !== '';
 
   // Normalise values for readability in UI text
-  let sLCraw = haveSurface ? p.surface.toLowerCase().replace(/_/g, ' ') : '';
-  let lcRaw  = haveLC ? p.landcover.toLowerCase().replace(/_/g, ' ') : '';
+  let sLCraw = haveSurface ? String(p.surface).toLowerCase().replace(/_/g, ' ') : '';
+  let lcRaw  = haveLC ? String(p.landcover).toLowerCase().replace(/_/g, ' ') : '';
 
   // Special-case: tweak phrasing for clarity
   if (sLCraw === 'rock') sLCraw = 'rocky';
   if (sLCraw === 'grass') sLCraw = 'grassy';
   if (sLCraw === 'ground') sLCraw = 'natural';
   if (lcRaw === 'wood') lcRaw = 'woodland';
-  
+
   // Compare without "bare " prefix so "bare rock" vs "rocky" doesn't duplicate
   const sLCnorm = sLCraw.replace(/^bare\s+/, '').trim();
   const lcNorm  = lcRaw.replace(/^bare\s+/, '').trim();
 
-  // Tweak for grammatical correctness
-  if (haveSurface && haveLC && sLCnorm !== lcNorm) {
-    const article = /^[aeiou]/.test(sLCraw) ? 'an' : 'a';
-    paragraph += ` It has ${article} ${sLCraw} surface and passes through ${lcRaw}.`;
-  } else if (haveSurface) {
-    const article = /^[aeiou]/.test(sLCraw) ? 'an' : 'a';
-    paragraph += ` It has ${article} ${sLCraw} surface.`;
-  } else if (haveLC) {
-    paragraph += ` It passes through ${lcRaw}.`;
-  }
+  return {
+    surface: sLCraw,
+    landcover: (haveSurface && sLCnorm === lcNorm) ? '' : lcRaw
+  };
+}
 
-  // --- Header block (segment id + difficulty badge) ---
-  const headerHtml = `
-    <div class="popup-header" style="text-align:center;">
-      <div style="font-weight:700; font-size:20px; margin-bottom:10px;">
-        Trail Section ${p.seg_id ?? '—'}
+// ─────────────────────────────────────────────────────────────
+// Utility: reusable warning card builder
+// ─────────────────────────────────────────────────────────────
+function warningCard(label, text) {
+  return `
+    <div role="alert" style="
+      display:flex; gap:8px; align-items:flex-start;
+      margin-top:6px; padding:8px 10px; border-radius:6px;
+      background:#fff; border:1px solid #ffcc00; border-left:5px solid #ffcc00;
+    ">
+      <div style="font-size:16px; line-height:1;">⚠️</div>
+      <div style="font-size:13px;">
+        <strong>${label}.</strong> ${text}
       </div>
+    </div>
+  `;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Popup pastel background (depends on difficulty + palette)
+// ─────────────────────────────────────────────────────────────
+function popupBgFor(diff){
+  const pal = cbMode ? palettes.cb.pastel : palettes.normal.pastel;
+  const k = String(diff || '').toLowerCase();
+  return pal[k] || '#ffffff';
+}
+
+// Text from data files or typed in (place names, report notes) made safe to put in
+// HTML panels and GPX/KML exports
+function escapeHtml(str) {
+  return String(str).replace(/[<>&'"]/g, c => ({ '<':'&lt;', '>':'&gt;', '&':'&amp;', "'":'&#39;', '"':'&quot;' }[c]));
+}
+
+// Trigger a browser download of text content
+function downloadText(filename, text, mime) {
+  const url = URL.createObjectURL(new Blob([text], { type: mime }));
+  const a = document.createElement('a');
+  a.href = url; a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// ─────────────────────────────────────────────────────────────
+// Info panel: render content on a pastel background with a close button
+// (segment details, recorded-walk reports)
+// ─────────────────────────────────────────────────────────────
+function showInfoPanel(contentHtml, bgColor) {
+  // Wrap popup content to set background + add a close button
+  const wrapperStart = `<div class="popup-wrapper" style="background:${bgColor};">`;
+  const wrapperEnd = `</div>`;
+
+  // Close button (placed first so it's top-right visually via float)
+  const closeButtonHtml = `<button class="info-panel-close" aria-label="Close panel" style="float:right; background:none; border:none; font-size:16px; cursor:pointer;">✖</button>`;
+
+  // Render into the side info panel
+  const panel = document.getElementById('info-panel');
+  panel.classList.add('tour-dimmable'); // allow tutorial to dim this panel
+  panel.innerHTML = `${wrapperStart}${closeButtonHtml}${contentHtml}${wrapperEnd}`;
+  panel.hidden = false;
+  urlState.seg = null; // set again by showSegmentInfo when the panel is a segment
+
+  // Hook up close button (hide panel on click)
+  panel.querySelector('.info-panel-close').addEventListener('click', () => {
+    panel.hidden = true;
+    urlState.seg = null;
+    scheduleUrlHash();
+  });
+}
+
+// ─────────────────────────────────────────────────────────────
+// Display attributes by seg_id (surface/landcover live only in the
+// display layer, so routing looks them up here)
+// ─────────────────────────────────────────────────────────────
+const TRAILS_URL = 'https://raw.githubusercontent.com/3070271J/holyrood-trails/refs/heads/main/trails_webmap_v6.geojson';
+
+const trailPropsBySeg = new Map(); // seg_id → display feature properties
+let trailsData = null;               // the display FeatureCollection itself (same property objects)
+const trailBboxBySeg = new Map();  // seg_id → [w, s, e, n] of the drawn section
+
+const trailsReady = fetch(TRAILS_URL)
+  .then(r => {
+    if (!r.ok) throw new Error('HTTP ' + r.status);
+    return r.json();
+  })
+  .then((trailsFC) => {
+    trailsFC.features.forEach(f => {
+      if (f.properties?.seg_id == null) return;
+      trailPropsBySeg.set(f.properties.seg_id, f.properties);
+      if (f.geometry) trailBboxBySeg.set(f.properties.seg_id, turf.bbox(f));
+    });
+    hazardPoints = buildHazardPoints(trailsFC);
+    trailsData = trailsFC;
+    return trailPropsBySeg;
+  })
+  .catch(err => {
+    console.error('Failed to load trail attributes:', err && (err.name + ': ' + err.message));
+    return trailPropsBySeg;
+  });
+
+// ─────────────────────────────────────────────────────────────
+// Elevation: heights and gradients come from where lines cross the
+// 10 m contour lines (ELEV), so ascent/descent are in 10 m steps.
+// The maths lives in elevation.js (HolyroodElevation)
+// ─────────────────────────────────────────────────────────────
+
+// Contour lines parsed for HolyroodElevation (filled once fetched)
+let contours = null;
+
+const contoursReady = fetch(CONTOURS_URL)
+  .then(r => {
+    if (!r.ok) throw new Error('HTTP ' + r.status);
+    return r.json();
+  })
+  .then((contoursFC) => {
+    contours = HolyroodElevation.parseContours(contoursFC);
+    return contours;
+  })
+  .catch(err => {
+    console.error('Failed to load contour data:', err && (err.name + ': ' + err.message));
+    return null;
+  });
+
+// ─────────────────────────────────────────────────────────────
+// Gradients: routing edges get one each way (see the route finder);
+// display sections get their steepest and average gradient
+// (max_gradient / avg_gradient, %) for the info panel, the gradient
+// limit and the colour-by-gradient mode.
+// ─────────────────────────────────────────────────────────────
+
+// Display sections annotated with max_gradient / avg_gradient once trails + contours are in
+// (left unset where heights are unknown, so they show as not measured)
+const gradientsReady = Promise.all([trailsReady, contoursReady]).then(() => {
+  if (!trailsData || !contours) return null;
+  trailsData.features.forEach(f => {
+    if (f.geometry?.type !== 'LineString') return;
+    const gradient = HolyroodElevation.lineGradientSummary(contours, f.geometry.coordinates);
+    if (!gradient) return;
+    f.properties.max_gradient = gradient.max;
+    f.properties.avg_gradient = gradient.avg;
+  });
+  return trailsData;
+});
+
+/** "The steepest part is about 14% (1 in 7) …" for the info panel ('' until measured). */
+function gradientSentence(p) {
+  if (typeof p.max_gradient !== 'number') return '';
+  if (p.max_gradient < 2) return 'It is practically level.';
+  const oneIn = (pct) => pct ? ` (1 in ${Math.round(100 / pct)})` : '';
+  return `The steepest part is about ${p.max_gradient}%${oneIn(p.max_gradient)}; on average it climbs or falls ${p.avg_gradient}%.`;
+}
+
+// Colour-by-gradient bands on the steepest part of each section (% upper limits)
+const GRADIENT_BANDS = [
+  { max: 5,        label: 'Under 5%',  colour: '#d8e219' },
+  { max: 8,        label: '5–8%',      colour: '#5ec962' },
+  { max: 12,       label: '8–12%',     colour: '#21918c' },
+  { max: 20,       label: '12–20%',    colour: '#3b528b' },
+  { max: Infinity, label: '20% or more', colour: '#440154' }
+];
+
+/** Legend shows difficulty or gradient bands, matching the trail colours. */
+function refreshColourByLegend() {
+  const byGradient = colourBy === 'gradient';
+  document.getElementById('legend-colour-title').textContent = byGradient ? 'Steepest gradient' : 'Trail difficulty';
+  document.querySelectorAll('#legend div[difficulty]').forEach(row => { row.hidden = byGradient; });
+  const box = document.getElementById('legend-gradient');
+  box.hidden = !byGradient;
+  box.innerHTML = [...GRADIENT_BANDS, { label: 'Not measured', colour: '#999999' }]
+    .map(b => `<div><span style="background:${b.colour}"></span> ${b.label}</div>`)
+    .join('');
+}
+
+const colourBySelect = document.getElementById('colour-by');
+colourBySelect.value = colourBy;
+colourBySelect.addEventListener('change', () => {
+  colourBy = colourBySelect.value;
+  localStorage.setItem('colourBy', colourBy);
+  refreshTrailLayerColours();
+  refreshColourByLegend();
+});
+refreshColourByLegend();
+
+// ─────────────────────────────────────────────────────────────
+// Gazetteer: named landmarks (hills, crags, lochs, ruins) that the
+// route finder's From/To boxes offer alongside POIs and trail sections
+// ─────────────────────────────────────────────────────────────
+const GAZETTEER_URL = 'https://raw.githubusercontent.com/3070271J/holyrood-trails/refs/heads/main/gazetteer.geojson';
+
+const PLACE_KIND_LABELS = { landmark: 'Landmark' }; // POI kinds are added below
+
+const gazetteerReady = fetch(GAZETTEER_URL)
+  .then(r => {
+    if (!r.ok) throw new Error('HTTP ' + r.status);
+    return r.json();
+  })
+  .then(fc => fc.features
+    .filter(f => f.geometry?.type === 'Point' && f.properties?.name)
+    .map(f => ({ name: f.properties.name, kind: f.properties.kind, coord: f.geometry.coordinates })))
+  .catch(err => {
+    console.error('Failed to load gazetteer:', err && (err.name + ': ' + err.message));
+    return []; // trail sections can still be picked by number
+  });
+
+// ─────────────────────────────────────────────────────────────
+// Points of interest: entrances, car parks, bus stops, toilets,
+// benches, viewpoints and drinking water. Drawn as icons, each with
+// its own info panel, and offered as route start/end/stops.
+// ─────────────────────────────────────────────────────────────
+const POIS_URL = 'https://raw.githubusercontent.com/3070271J/holyrood-trails/refs/heads/main/pois.geojson';
+
+const POI_KINDS = {
+  entrance:  { label: 'Entrance',       emoji: '🚪', colour: '#2e7d32' },
+  car_park:  { label: 'Car park',       emoji: '🅿️', colour: '#1565c0' },
+  bus_stop:  { label: 'Bus stop',       emoji: '🚌', colour: '#c62828' },
+  toilet:    { label: 'Toilets',        emoji: '🚻', colour: '#6a1b9a' },
+  bench:     { label: 'Bench',          emoji: '🪑', colour: '#795548' },
+  viewpoint: { label: 'Viewpoint',      emoji: '🔭', colour: '#ef6c00' },
+  water:     { label: 'Drinking water', emoji: '🚰', colour: '#0277bd' }
+};
+Object.entries(POI_KINDS).forEach(([kind, k]) => { PLACE_KIND_LABELS[kind] = k.label; });
+
+const WHEELCHAIR_WORDING = {
+  yes:     'Step-free access.',
+  limited: 'Reachable without steps, but the way in is steep or rough.',
+  no:      'Not step-free.'
+};
+
+const poiFromFeature = (f) => ({
+  name: f.properties.name,
+  kind: f.properties.kind,
+  description: f.properties.description || '',
+  wheelchair: f.properties.wheelchair || '',
+  coord: f.geometry.coordinates
+});
+
+const poisReady = fetch(POIS_URL)
+  .then(r => {
+    if (!r.ok) throw new Error('HTTP ' + r.status);
+    return r.json();
+  })
+  .then(fc => fc.features
+    .filter(f => f.geometry?.type === 'Point' && f.properties?.name && POI_KINDS[f.properties.kind])
+    .map(poiFromFeature))
+  .catch(err => {
+    console.error('Failed to load POIs:', err && (err.name + ': ' + err.message));
+    return [];
+  });
+
+// Round badge with the kind's emoji on a coloured ring (drawn at 2× for sharpness)
+function poiIcon(kind) {
+  const { emoji, colour } = POI_KINDS[kind];
+  const size = 48;
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = size;
+  const ctx = canvas.getContext('2d');
+  ctx.beginPath();
+  ctx.arc(size / 2, size / 2, size / 2 - 3, 0, Math.PI * 2);
+  ctx.fillStyle = '#ffffff';
+  ctx.fill();
+  ctx.lineWidth = 4;
+  ctx.strokeStyle = colour;
+  ctx.stroke();
+  ctx.font = '26px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(emoji, size / 2, size / 2 + 2);
+  return ctx.getImageData(0, 0, size, size);
+}
+
+function addPoiLayer() {
+  Object.keys(POI_KINDS).forEach(kind => {
+    if (!map.hasImage(`poi-${kind}`)) map.addImage(`poi-${kind}`, poiIcon(kind), { pixelRatio: 2 });
+  });
+  map.addSource('pois', { type: 'geojson', data: POIS_URL });
+  map.addLayer({
+    id: 'pois-layer',
+    type: 'symbol',
+    source: 'pois',
+    layout: {
+      'icon-image': ['concat', 'poi-', ['get', 'kind']],
+      'icon-size': ['interpolate', ['linear'], ['zoom'], 13, 0.6, 16, 1],
+      'icon-allow-overlap': true,
+      // names only once zoomed in, so the icons don't drown in labels
+      'text-field': ['step', ['zoom'], '', 16, ['get', 'name']],
+      'text-size': 11,
+      'text-offset': [0, 1.3],
+      'text-anchor': 'top',
+      'text-optional': true
+    },
+    paint: {
+      'text-color': '#333333',
+      'text-halo-color': '#ffffff',
+      'text-halo-width': 1.5
+    }
+  });
+}
+
+// Route/track/overlay lines go under the POI icons so the icons stay clickable
+const belowPois = () => (map.getLayer('pois-layer') ? 'pois-layer' : undefined);
+
+// Trails fade under overlays (reachable area, version comparison). Each overlay fades
+// them under its own name; the opacity saved by the first returns when the last clears
+const TRAIL_FADE = { 'trails-active': 0.2, 'trails-inactive': 0.1 };
+const trailFaders = new Set();
+let trailOpacities = null; // layer → opacity before fading
+
+function fadeTrails(by, on) {
+  if (on) {
+    if (!trailFaders.size) {
+      trailOpacities = {};
+      Object.entries(TRAIL_FADE).forEach(([id, opacity]) => {
+        if (!map.getLayer(id)) return;
+        trailOpacities[id] = map.getPaintProperty(id, 'line-opacity') ?? 1;
+        map.setPaintProperty(id, 'line-opacity', opacity);
+      });
+    }
+    trailFaders.add(by);
+  } else if (trailFaders.delete(by) && !trailFaders.size) {
+    Object.entries(trailOpacities).forEach(([id, opacity]) => {
+      if (map.getLayer(id)) map.setPaintProperty(id, 'line-opacity', opacity);
+    });
+    trailOpacities = null;
+  }
+}
+
+// Filled in by the route finder once the routing graph is ready
+const routeActions = { usePlace: null, reroute: null };
+
+// Filled in by the map load handler, where the segment info panel lives
+const segmentActions = { show: null, focus: null };
+
+function showPoiInfo(poi) {
+  const kind = POI_KINDS[poi.kind];
+  const headerHtml = `
+    <div class="popup-header" style="text-align:center;">
+      <div style="font-weight:700; font-size:20px; margin-bottom:10px;">${escapeHtml(poi.name)}</div>
       <div style="line-height:1;">
-        <div style="font-size:18px;">${diffEmoji}</div>
-        <div style="font-size:12px; margin-top:2px;">${diffShort}</div>
+        <div style="font-size:18px;">${kind.emoji}</div>
+        <div style="font-size:12px; margin-top:2px;">${kind.label}</div>
       </div>
     </div>
   `;
-
-  // --- Body block (paragraph + warnings populated below) ---
-  let bodyHtml = `
+  const access = WHEELCHAIR_WORDING[poi.wheelchair];
+  const bodyHtml = `
     <div class="popup-body" style="margin-top:8px;">
-      <p style="margin:0 0 6px 0;">${paragraph}</p>
+      ${poi.description ? `<p style="margin:0 0 6px 0;">${escapeHtml(poi.description)}</p>` : ''}
+      ${access ? `<p style="margin:0 0 6px 0;"><b>Access:</b> ${access}</p>` : ''}
+      <div class="poi-route-actions" role="group" aria-label="Use in route finder">
+        <button type="button" data-role="start">Start here</button>
+        <button type="button" data-role="stop">Add as a stop</button>
+        <button type="button" data-role="end">End here</button>
+      </div>
+    </div>
   `;
+  showInfoPanel(headerHtml + bodyHtml, '#f7f7f2');
+
+  document.querySelectorAll('#info-panel .poi-route-actions button').forEach(btn => {
+    btn.disabled = !routeActions.usePlace; // routing graph still loading
+    btn.addEventListener('click', () => routeActions.usePlace?.(btn.dataset.role, { label: poi.name, coord: poi.coord }));
+  });
+}
+
+// Legend key for the POI icons
+function renderPoiLegend() {
+  const box = document.getElementById('legend-pois');
+  if (!box) return;
+  box.innerHTML = Object.values(POI_KINDS)
+    .map(k => `<div><span class="legend-poi" style="border-color:${k.colour}" aria-hidden="true">${k.emoji}</span> ${k.label}</div>`)
+    .join('');
+}
+renderPoiLegend();
 
 // ─────────────────────────────────────────────────────────────
-// Utility: reusable warning card builder
+// Hazard symbols: warning icons placed along the sections that have
+// steps, exposed drops, rough ground or overgrowth, so hazards show
+// before anyone clicks a line. Each type can be hidden in the toolbox.
 // ─────────────────────────────────────────────────────────────
-function warningCard(label, text) {
+// Keys match segmentWarnings (and so the info panel cards)
+const HAZARD_KINDS = {
+  steps:      { label: 'Steps',         emoji: '🪜', colour: '#5d4037' },
+  vertigo:    { label: 'Exposed drop',  emoji: '🧗', colour: '#c62828' },
+  uneven:     { label: 'Rough ground',  emoji: '🪨', colour: '#ef6c00' },
+  overgrowth: { label: 'Overgrowth',    emoji: '🌿', colour: '#2e7d32' }
+};
+const HAZARD_SPACING_M = 200; // one icon per type per this much trail (at least one per section)
+
+// Point per hazard along each section (filled once the display layer is fetched)
+let hazardPoints = { type: 'FeatureCollection', features: [] };
+
+/** Hazard icons for a display FeatureCollection: { hazard, seg_id } points along each line. */
+function buildHazardPoints(trailsFC) {
+  const features = [];
+  trailsFC.features.forEach(f => {
+    if (f.geometry?.type !== 'LineString') return; // the display layer is all single lines
+    const kinds = segmentWarnings(f.properties || {}).filter(k => k in HAZARD_KINDS);
+    if (!kinds.length) return;
+    const length = turf.length(f, { units: 'meters' });
+    const repeats = Math.max(1, Math.round(length / HAZARD_SPACING_M));
+    // Several hazards on one section sit side by side along it rather than stacked
+    kinds.forEach((hazard, k) => {
+      for (let j = 0; j < repeats; j++) {
+        const at = (length * (j + (k + 1) / (kinds.length + 1))) / repeats;
+        const pt = turf.along(f, at, { units: 'meters' });
+        features.push(turf.point(pt.geometry.coordinates, { hazard, seg_id: f.properties.seg_id }));
+      }
+    });
+  });
+  return { type: 'FeatureCollection', features };
+}
+
+// Warning triangle with the hazard's emoji (drawn at 2× like the POI badges)
+function hazardIcon(kind) {
+  const { emoji, colour } = HAZARD_KINDS[kind];
+  const size = 48;
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = size;
+  const ctx = canvas.getContext('2d');
+  ctx.beginPath();
+  ctx.moveTo(size / 2, 4);
+  ctx.lineTo(size - 3, size - 5);
+  ctx.lineTo(3, size - 5);
+  ctx.closePath();
+  ctx.fillStyle = '#ffffff';
+  ctx.fill();
+  ctx.lineWidth = 4;
+  ctx.lineJoin = 'round';
+  ctx.strokeStyle = colour;
+  ctx.stroke();
+  ctx.font = '20px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(emoji, size / 2, size / 2 + 6);
+  return ctx.getImageData(0, 0, size, size);
+}
+
+// Hazard types switched off in the toolbox (persisted like the colourblind choice)
+function loadHiddenHazards() {
+  try {
+    return new Set(JSON.parse(localStorage.getItem('hiddenHazards')) || []);
+  } catch (err) {
+    return new Set(); // corrupt entry → show everything
+  }
+}
+const hiddenHazards = loadHiddenHazards();
+
+function applyHazardFilter() {
+  const shown = Object.keys(HAZARD_KINDS).filter(k => !hiddenHazards.has(k));
+  if (map.getLayer('hazards-layer')) {
+    map.setFilter('hazards-layer', ['in', ['get', 'hazard'], ['literal', shown]]);
+  }
+  document.querySelectorAll('#legend-hazards div[data-hazard]').forEach(row => {
+    row.style.color = hiddenHazards.has(row.dataset.hazard) ? '#888' : '';
+  });
+}
+
+function addHazardLayer() {
+  Object.keys(HAZARD_KINDS).forEach(kind => {
+    if (!map.hasImage(`hazard-${kind}`)) map.addImage(`hazard-${kind}`, hazardIcon(kind), { pixelRatio: 2 });
+  });
+  map.addSource('hazards', { type: 'geojson', data: hazardPoints });
+  map.addLayer({
+    id: 'hazards-layer',
+    type: 'symbol',
+    source: 'hazards',
+    minzoom: 13,
+    layout: {
+      'icon-image': ['concat', 'hazard-', ['get', 'hazard']],
+      'icon-size': ['interpolate', ['linear'], ['zoom'], 13, 0.45, 15, 0.7, 17, 1],
+      'icon-padding': 1
+    }
+  }, belowPois());
+  trailsReady.then(() => map.getSource('hazards')?.setData(hazardPoints));
+  applyHazardFilter();
+}
+
+function renderHazardLegend() {
+  const box = document.getElementById('legend-hazards');
+  if (!box) return;
+  box.innerHTML = Object.entries(HAZARD_KINDS)
+    .map(([kind, k]) => `<div data-hazard="${kind}"><span class="legend-hazard" style="background:${k.colour}" aria-hidden="true">${k.emoji}</span> ${k.label}</div>`)
+    .join('');
+}
+renderHazardLegend();
+
+document.querySelectorAll('#hazard-toggles input[data-hazard]').forEach(box => {
+  box.checked = !hiddenHazards.has(box.dataset.hazard);
+  box.addEventListener('change', () => {
+    if (box.checked) hiddenHazards.delete(box.dataset.hazard);
+    else hiddenHazards.add(box.dataset.hazard);
+    localStorage.setItem('hiddenHazards', JSON.stringify([...hiddenHazards]));
+    applyHazardFilter();
+  });
+});
+
+// ─────────────────────────────────────────────────────────────
+// Condition reports: muddy, blocked, flooded or newly overgrown paths
+// recorded from a section's info panel. Saved on this device in
+// IndexedDB, drawn as markers, counted by routing as the "reported"
+// condition, and exported/imported as GeoJSON for the ranger team
+// ─────────────────────────────────────────────────────────────
+const REPORT_KINDS = {
+  muddy:     { label: 'Muddy',           emoji: '🥾', colour: '#795548' },
+  blocked:   { label: 'Blocked',         emoji: '⛔', colour: '#c62828' },
+  flooded:   { label: 'Flooded',         emoji: '💧', colour: '#1565c0' },
+  overgrown: { label: 'Newly overgrown', emoji: '🌿', colour: '#2e7d32' },
+  other:     { label: 'Other problem',   emoji: '❗', colour: '#6a1b9a' }
+};
+const REPORTS_DB = 'holyrood-reports';
+const REPORTS_STORE = 'reports'; // { id, seg_id, kind, note, reported (ISO date), coord }
+const REPORT_NOTE_MAX = 200;
+const REPORT_MAX_AGE_DAYS = 14; // older reports stay listed and exported, but routing stops avoiding them
+
+let reports = []; // newest first
+
+let reportsDb = null;
+function openReportsDb() {
+  if (!reportsDb) {
+    reportsDb = new Promise((resolve, reject) => {
+      const req = indexedDB.open(REPORTS_DB, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(REPORTS_STORE, { keyPath: 'id' });
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return reportsDb;
+}
+
+/** Run fn(store) in one transaction; resolves with the result of the request fn returns. */
+function reportsTransaction(mode, fn) {
+  return openReportsDb().then(db => new Promise((resolve, reject) => {
+    const tx = db.transaction(REPORTS_STORE, mode);
+    const req = fn(tx.objectStore(REPORTS_STORE));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    // Quota errors and the like abort without a request error; don't leave callers waiting
+    tx.onabort = () => reject(tx.error || new Error('Report transaction aborted'));
+  }));
+}
+
+/** Recent enough for routing (and the map) to still treat the section as a problem? */
+function reportIsCurrent(r, now = Date.now()) {
+  return now - Date.parse(r.reported) <= REPORT_MAX_AGE_DAYS * 24 * 3600 * 1000;
+}
+
+const newReportId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/** Halfway along a displayed section (where its report marker goes), or null. */
+function sectionMidpoint(segId) {
+  const f = trailsData?.features.find(x => x.properties.seg_id === segId && x.geometry?.type === 'LineString');
+  if (!f) return null;
+  return turf.along(f, turf.length(f, { units: 'meters' }) / 2, { units: 'meters' }).geometry.coordinates;
+}
+
+function formatReportDate(iso) {
+  return new Date(iso).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+function reportsToGeoJSON(list) {
+  return {
+    type: 'FeatureCollection',
+    features: list.filter(r => r.coord).map(r => turf.point(r.coord,
+      { id: r.id, seg_id: r.seg_id, kind: r.kind, note: r.note, reported: r.reported }))
+  };
+}
+
+/** A report from an imported GeoJSON feature, or null if it has no section or date. */
+function reportFromFeature(f) {
+  const p = f?.properties || {};
+  const segId = Number(p.seg_id);
+  const time = Date.parse(p.reported);
+  if (p.seg_id === null || p.seg_id === undefined || p.seg_id === '' || !Number.isFinite(segId) || !Number.isFinite(time)) return null;
+  const c = f.geometry?.type === 'Point' ? f.geometry.coordinates : null;
+  return {
+    id: p.id ? String(p.id) : newReportId(),
+    seg_id: segId,
+    kind: Object.hasOwn(REPORT_KINDS, p.kind) ? p.kind : 'other', // imports are untrusted: no inherited keys
+    note: String(p.note ?? '').slice(0, REPORT_NOTE_MAX),
+    reported: new Date(time).toISOString(),
+    coord: (c && c.length >= 2 && c.every(Number.isFinite)) ? [c[0], c[1]] : sectionMidpoint(segId)
+  };
+}
+
+function showReportsStatus(text) {
+  document.getElementById('reports-status').textContent = text;
+}
+
+// Saving failed (private browsing, storage full): keep going for this visit only
+function reportsNotSaved(err) {
+  console.error('Failed to save condition reports:', err && (err.name + ': ' + err.message));
+  showReportsStatus('Reports can\'t be saved on this device; they will be gone when you close the page.');
+}
+
+/** Markers, legend, map filter, any open route and the open section panel follow the reports. */
+function reportsChanged() {
+  reports.sort((a, b) => b.reported.localeCompare(a.reported));
+  reportedSegs = new Set(reports.filter(r => reportIsCurrent(r)).map(r => r.seg_id));
+  map.getSource('reports')?.setData(reportsToGeoJSON(reports));
+  if (map.getLayer('reports-layer')) map.setPaintProperty('reports-layer', 'icon-opacity', reportOpacity());
+  renderReportLegend();
+
+  const sections = new Set(reports.map(r => r.seg_id)).size;
+  const old = reports.filter(r => !reportIsCurrent(r)).length;
+  document.getElementById('reports-count').textContent = reports.length
+    ? `${reports.length} report${reports.length === 1 ? '' : 's'} on ${sections} section${sections === 1 ? '' : 's'}.` +
+      `${old ? ` ${old} older than ${REPORT_MAX_AGE_DAYS} days no longer affect${old === 1 ? 's' : ''} routes.` : ''}`
+    : 'No reports yet.';
+  document.getElementById('reports-export').disabled = !reports.length;
+
+  const openSeg = urlState.seg; // a re-solved route would take over the info panel
+  applyFilter();
+  routeActions.reroute?.();
+  const shown = openSeg !== null && trailPropsBySeg.get(openSeg);
+  if (shown) segmentActions.show?.(shown);
+}
+
+function addReport(segId, kind, note) {
+  const report = {
+    id: newReportId(),
+    seg_id: segId,
+    kind,
+    note: note.slice(0, REPORT_NOTE_MAX),
+    reported: new Date().toISOString(),
+    coord: sectionMidpoint(segId)
+  };
+  reports.push(report);
+  reportsChanged();
+  showReportsStatus(`${REPORT_KINDS[kind].label} reported on section ${segId}.`);
+  reportsTransaction('readwrite', store => store.put(report)).catch(reportsNotSaved);
+}
+
+function removeReport(id) {
+  reports = reports.filter(r => r.id !== id);
+  reportsChanged();
+  reportsTransaction('readwrite', store => store.delete(id)).catch(reportsNotSaved);
+}
+
+/** Info panel block: reports on this section and the "Report a problem" form. */
+function segmentReportsHtml(segId) {
+  if (segId === null || segId === undefined) return '';
+  const here = reports.filter(r => r.seg_id === segId);
+  const items = here.map(r => `
+    <li>${REPORT_KINDS[r.kind].emoji} <b>${REPORT_KINDS[r.kind].label}</b>, ${formatReportDate(r.reported)}${r.note ? `: ${escapeHtml(r.note)}` : ''}
+      ${reportIsCurrent(r) ? '' : `<i>(over ${REPORT_MAX_AGE_DAYS} days old; routes no longer avoid it)</i>`}
+      <button type="button" class="report-remove" data-id="${escapeHtml(r.id)}">Remove</button></li>`);
+  const options = Object.entries(REPORT_KINDS).map(([k, v]) => `<option value="${k}">${v.label}</option>`).join('');
+  return `
+    <div class="segment-reports">
+      ${here.length ? `<p style="margin:8px 0 4px 0;"><b>Reported problems</b></p><ul class="report-list">${items.join('')}</ul>` : ''}
+      <details class="report-form">
+        <summary>Report a problem</summary>
+        <label class="pref-row">Problem <select class="report-kind">${options}</select></label>
+        <label class="pref-row">Details (optional) <input type="text" class="report-note" maxlength="${REPORT_NOTE_MAX}"></label>
+        <button type="button" class="report-save">Save report</button>
+      </details>
+    </div>
+  `;
+}
+
+// Hook up the form and "Remove" buttons once the segment panel is rendered
+function wireSegmentReports(segId) {
+  const panel = document.getElementById('info-panel');
+  panel.querySelector('.report-save')?.addEventListener('click', () => {
+    addReport(segId, panel.querySelector('.report-kind').value, panel.querySelector('.report-note').value.trim());
+  });
+  panel.querySelectorAll('.report-remove').forEach(btn => {
+    btn.addEventListener('click', () => removeReport(btn.dataset.id));
+  });
+}
+
+// Square badge with the problem's emoji (round = facility, triangle = hazard)
+function reportIcon(kind) {
+  const { emoji, colour } = REPORT_KINDS[kind];
+  const size = 48;
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = size;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(5, 5, size - 10, size - 10);
+  ctx.lineWidth = 4;
+  ctx.lineJoin = 'round';
+  ctx.strokeStyle = colour;
+  ctx.strokeRect(5, 5, size - 10, size - 10);
+  ctx.font = '22px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(emoji, size / 2, size / 2 + 2);
+  return ctx.getImageData(0, 0, size, size);
+}
+
+// Old reports fade so it's clear routes no longer go around them
+function reportOpacity() {
+  const cutoff = new Date(Date.now() - REPORT_MAX_AGE_DAYS * 24 * 3600 * 1000).toISOString();
+  return ['case', ['<', ['get', 'reported'], cutoff], 0.4, 1];
+}
+
+function addReportLayer() {
+  Object.keys(REPORT_KINDS).forEach(kind => {
+    if (!map.hasImage(`report-${kind}`)) map.addImage(`report-${kind}`, reportIcon(kind), { pixelRatio: 2 });
+  });
+  map.addSource('reports', { type: 'geojson', data: reportsToGeoJSON(reports) });
+  map.addLayer({
+    id: 'reports-layer',
+    type: 'symbol',
+    source: 'reports',
+    layout: {
+      'icon-image': ['concat', 'report-', ['get', 'kind']],
+      'icon-size': ['interpolate', ['linear'], ['zoom'], 13, 0.6, 16, 1],
+      'icon-allow-overlap': true
+    },
+    paint: { 'icon-opacity': reportOpacity() }
+  }, belowPois());
+}
+
+// Legend lists only the kinds that have been reported
+function renderReportLegend() {
+  const kinds = Object.keys(REPORT_KINDS).filter(k => reports.some(r => r.kind === k));
+  const box = document.getElementById('legend-reports');
+  box.innerHTML = kinds
+    .map(k => `<div><span class="legend-report" style="border-color:${REPORT_KINDS[k].colour}" aria-hidden="true">${REPORT_KINDS[k].emoji}</span> ${REPORT_KINDS[k].label}</div>`)
+    .join('');
+  box.hidden = !kinds.length;
+  document.getElementById('legend-reports-title').hidden = !kinds.length;
+}
+
+document.getElementById('reports-export').addEventListener('click', () => {
+  const day = new Date().toISOString().slice(0, 10);
+  downloadText(`holyrood-reports-${day}.geojson`, JSON.stringify(reportsToGeoJSON(reports), null, 2), 'application/geo+json');
+});
+
+const reportsFileInput = document.getElementById('reports-import-file');
+document.getElementById('reports-import').addEventListener('click', () => reportsFileInput.click());
+
+// Imported reports are merged by id, so the same file (or a colleague's copy) can be loaded twice
+reportsFileInput.addEventListener('change', () => {
+  const file = reportsFileInput.files[0];
+  reportsFileInput.value = '';
+  if (!file) return;
+  file.text()
+    .then(text => {
+      const fc = JSON.parse(text);
+      if (!Array.isArray(fc?.features)) throw new Error('not a GeoJSON FeatureCollection');
+      const incoming = fc.features.map(reportFromFeature).filter(Boolean);
+      const known = new Set(reports.map(r => r.id));
+      const added = incoming.filter(r => !known.has(r.id));
+      reports = [...reports.filter(r => !incoming.some(i => i.id === r.id)), ...incoming];
+      reportsChanged();
+      const skipped = fc.features.length - incoming.length;
+      showReportsStatus(`Imported ${added.length} new report${added.length === 1 ? '' : 's'}` +
+        `${incoming.length > added.length ? ` (${incoming.length - added.length} already here)` : ''}` +
+        `${skipped ? `; skipped ${skipped} without a section or date` : ''}.`);
+      return reportsTransaction('readwrite', store => { incoming.forEach(r => store.put(r)); })
+        .catch(reportsNotSaved);
+    })
+    .catch(err => {
+      console.error('Failed to import condition reports:', err && (err.name + ': ' + err.message));
+      showReportsStatus(`${file.name} isn't a GeoJSON file of reports.`);
+    });
+});
+
+// Reports saved on earlier visits
+if (window.indexedDB) {
+  reportsTransaction('readonly', store => store.getAll())
+    .then(saved => {
+      reports = saved || [];
+      reportsChanged();
+    })
+    .catch(err => console.error('Failed to load condition reports:', err && (err.name + ': ' + err.message)));
+} else {
+  showReportsStatus('This browser can\'t keep reports between visits.');
+}
+
+// ─────────────────────────────────────────────────────────────
+// Temporary closures (events, rockfall, roadworks) from closures.geojson.
+// One feature per closure:
+// - geometry: Polygon/MultiPolygon closing every section that crosses
+//   it, or null
+// - seg_ids:  sections closed by id (array or "12,13"), with or
+//   without a polygon
+// - reason, details (optional), start / end: 'YYYY-MM-DD', inclusive;
+//   no end = until further notice
+// Closures in force today are drawn hatched, explained in the info
+// panel and never used by the route finder
+// ─────────────────────────────────────────────────────────────
+const CLOSURES_URL = 'https://raw.githubusercontent.com/3070271J/holyrood-trails/refs/heads/main/closures.geojson';
+const CLOSURE_COLOUR = '#d32f2f';
+
+let allClosures = []; // every closure in closures.geojson, whatever its dates
+let closures = [];    // in force today: { id, reason, details, start, end, polygon, segIds }
+let closuresDay = ''; // the day `closures` was worked out for
+
+// Today in local time as YYYY-MM-DD (closure dates are park days, not UTC)
+function localDateString(d = new Date()) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/** In force on this day? No start = already; no end = until further notice. */
+function closureActive(c, today = localDateString()) {
+  return (!c.start || c.start <= today) && (!c.end || today <= c.end);
+}
+
+/** "3 Oct 2026 to 20 Oct 2026", "until further notice", … */
+function closureDates(c) {
+  const day = (s) => new Date(`${s}T12:00:00`).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' });
+  if (c.end) return c.start ? `${day(c.start)} to ${day(c.end)}` : `until ${day(c.end)}`;
+  return c.start ? `from ${day(c.start)} until further notice` : 'until further notice';
+}
+
+/** A closure from a closures.geojson feature (display sections must be loaded), or null if it closes nothing. */
+function closureFromFeature(f, i) {
+  const p = f.properties || {};
+  const polygon = ['Polygon', 'MultiPolygon'].includes(f.geometry?.type) ? f.geometry : null;
+  const listed = Array.isArray(p.seg_ids) ? p.seg_ids : String(p.seg_ids ?? '').split(',');
+  const segIds = new Set(listed.filter(id => String(id).trim() !== '').map(Number).filter(Number.isFinite));
+  if (polygon) {
+    trailsData?.features.forEach(t => {
+      if (t.geometry && turf.booleanIntersects(t, polygon)) segIds.add(t.properties.seg_id);
+    });
+  }
+  if (!segIds.size) return null;
+  return {
+    id: p.id ?? i,
+    reason: p.reason || 'Temporary closure',
+    details: p.details || '',
+    start: p.start || '',
+    end: p.end || '',
+    polygon,
+    segIds
+  };
+}
+
+const closuresReady = Promise.all([
+  fetch(CLOSURES_URL, { cache: 'no-store' }).then(r => {
+    if (!r.ok) throw new Error('HTTP ' + r.status);
+    return r.json();
+  }),
+  trailsReady
+])
+  .then(([closuresFC]) => {
+    allClosures = (closuresFC.features || []).map(closureFromFeature).filter(Boolean);
+    if (refreshClosures()) routeActions.reroute?.();
+    return closures;
+  })
+  .catch(err => {
+    console.error('Failed to load closures:', err && (err.name + ': ' + err.message));
+    return closures;
+  });
+
+/**
+ * Work out which closures are in force today, unless already done for today (a page
+ * left open overnight catches up on its next route or when shown again). closedSegs,
+ * the hatched areas and sections and the legend follow. True if any closure started or ended.
+ */
+function refreshClosures(today = localDateString()) {
+  if (today === closuresDay) return false;
+  closuresDay = today;
+  const active = allClosures.filter(c => closureActive(c, today));
+  if (active.length === closures.length && active.every((c, i) => c === closures[i])) return false;
+  closures = active;
+  closedSegs = new Map();
+  closures.forEach(c => c.segIds.forEach(id => { if (!closedSegs.has(id)) closedSegs.set(id, c); }));
+  if (map.getSource('closures')) {
+    map.getSource('closures').setData(closureAreas());
+    map.setFilter('trails-closed', closedSectionsFilter());
+  }
+  renderClosureLegend();
+  return true;
+}
+
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'visible' && refreshClosures()) routeActions.reroute?.();
+});
+
+/** Info panel card for a closed section. */
+function closureCard(c) {
   return `
     <div role="alert" style="
       display:flex; gap:8px; align-items:flex-start;
       margin-top:6px; padding:8px 10px; border-radius:6px;
-      background:#fff; border:1px solid #ffcc00; border-left:5px solid #ffcc00;
+      background:#fff; border:1px solid ${CLOSURE_COLOUR}; border-left:5px solid ${CLOSURE_COLOUR};
     ">
-      <div style="font-size:16px; line-height:1;">⚠️</div>
+      <div style="font-size:16px; line-height:1;">🚧</div>
       <div style="font-size:13px;">
-        <strong>${label}.</strong> ${text}
+        <strong>Closed: ${escapeHtml(c.reason)}.</strong> ${closureDates(c)}.
+        ${c.details ? `${escapeHtml(c.details)} ` : ''}The route finder goes around it.
       </div>
     </div>
   `;
 }
 
+// Panel for a click on a closure area away from any trail
+function showClosureInfo(c) {
+  const headerHtml = `
+    <div class="popup-header" style="text-align:center;">
+      <div style="font-weight:700; font-size:20px; margin-bottom:10px;">Closed</div>
+      <div style="line-height:1;"><div style="font-size:18px;">🚧</div></div>
+    </div>
+  `;
+  const n = c.segIds.size;
+  const bodyHtml = `
+    <div class="popup-body" style="margin-top:8px;">
+      <p style="margin:0 0 6px 0;"><b>${escapeHtml(c.reason)}</b>, ${closureDates(c)}.</p>
+      ${c.details ? `<p style="margin:0 0 6px 0;">${escapeHtml(c.details)}</p>` : ''}
+      <p style="margin:0 0 6px 0;">${n} trail section${n === 1 ? ' is' : 's are'} closed; the route finder goes around ${n === 1 ? 'it' : 'them'}.</p>
+    </div>
+  `;
+  showInfoPanel(headerHtml + bodyHtml, '#fdecea');
+}
+
+// Red diagonal stripes on transparent (tiles seamlessly), for closed areas and sections
+function closureHatch() {
+  const size = 16;
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = size;
+  const ctx = canvas.getContext('2d');
+  ctx.strokeStyle = CLOSURE_COLOUR;
+  ctx.lineWidth = 3;
+  ctx.beginPath();
+  [[0, size, size, 0], [-size / 2, size / 2, size / 2, -size / 2], [size / 2, size * 1.5, size * 1.5, size / 2]]
+    .forEach(([ax, ay, bx, by]) => { ctx.moveTo(ax, ay); ctx.lineTo(bx, by); });
+  ctx.stroke();
+  return ctx.getImageData(0, 0, size, size);
+}
+
+function closureAreas() {
+  return {
+    type: 'FeatureCollection',
+    features: closures.filter(c => c.polygon).map(c => ({ type: 'Feature', geometry: c.polygon, properties: { id: c.id } }))
+  };
+}
+
+const closedSectionsFilter = () => ['in', ['get', 'seg_id'], ['literal', [...closedSegs.keys()]]];
+
+// Closure areas and hatched closed sections over the trails (under the icons)
+function addClosureLayers() {
+  if (!map.hasImage('closure-hatch')) map.addImage('closure-hatch', closureHatch(), { pixelRatio: 2 });
+  map.addSource('closures', { type: 'geojson', data: closureAreas() });
+  map.addLayer({
+    id: 'closures-fill',
+    type: 'fill',
+    source: 'closures',
+    paint: { 'fill-pattern': 'closure-hatch', 'fill-opacity': 0.5 }
+  }, belowPois());
+  map.addLayer({
+    id: 'closures-outline',
+    type: 'line',
+    source: 'closures',
+    paint: { 'line-color': CLOSURE_COLOUR, 'line-width': 1.5, 'line-dasharray': [3, 2] }
+  }, belowPois());
+  map.addLayer({
+    id: 'trails-closed',
+    type: 'line',
+    source: 'trails',
+    paint: { 'line-pattern': 'closure-hatch', 'line-width': 7 },
+    filter: closedSectionsFilter()
+  }, belowPois());
+}
+
+function renderClosureLegend() {
+  document.getElementById('legend-closed').hidden = !closures.length;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Maintainer view: load any two survey versions of a dataset, match
+// sections by seg_id and colour what was added, removed, re-graded
+// or re-attributed; the full list downloads as a CSV change report
+// ─────────────────────────────────────────────────────────────
+const DATA_BASE_URL = 'https://raw.githubusercontent.com/3070271J/holyrood-trails/refs/heads/main/';
+
+const DATASET_VERSIONS = {
+  trails:  { file: 'trails_webmap', versions: ['v2', 'v3', 'v4', 'v6'] },
+  routing: { file: 'routing_full',  versions: ['v1', 'v2', 'v3'] }
+};
+
+// A section counts as re-graded if any of these changed, otherwise re-attributed
+const REGRADE_ATTRS = ['difficulty', 'total_score'];
+const REATTRIBUTE_ATTRS = ['surface', 'vertigo', 'slope_class', 'manual_override'];
+
+const CHANGE_STYLES = {
+  added:        { label: 'Added',         colour: '#2979ff' },
+  removed:      { label: 'Removed',       colour: '#616161' },
+  regraded:     { label: 'Re-graded',     colour: '#d500f9' },
+  reattributed: { label: 'Re-attributed', colour: '#ff9100' }
+};
+
+let comparison = null;    // last result of compareDatasets + the versions compared
+
+const datasetCache = new Map(); // url → Promise<FeatureCollection>
+function loadDataset(family, version) {
+  const url = `${DATA_BASE_URL}${DATASET_VERSIONS[family].file}_${version}.geojson`;
+  if (!datasetCache.has(url)) {
+    datasetCache.set(url, fetch(url).then(r => {
+      if (!r.ok) throw new Error('HTTP ' + r.status);
+      return r.json();
+    }).catch(err => {
+      datasetCache.delete(url); // let the next attempt retry
+      throw err;
+    }));
+  }
+  return datasetCache.get(url);
+}
+
+/** seg_id → { props, lines }. Routing splits sections into pieces; the first piece's attributes stand for the section. */
+function indexBySeg(fc) {
+  const bySeg = new Map();
+  fc.features.forEach(f => {
+    const id = f.properties?.seg_id;
+    if (id === null || id === undefined) return;
+    if (!bySeg.has(id)) bySeg.set(id, { props: f.properties, lines: [] });
+    const geom = f.geometry;
+    if (geom?.type === 'LineString') bySeg.get(id).lines.push(geom.coordinates);
+    else if (geom?.type === 'MultiLineString') bySeg.get(id).lines.push(...geom.coordinates);
+  });
+  return bySeg;
+}
+
+const attributesOf = (fc) => new Set(fc.features.flatMap(f => Object.keys(f.properties || {})));
+const sameValue = (a, b) => String(a ?? '') === String(b ?? '');
+
+/**
+ * Diff two versions of one dataset by seg_id. An attribute is only compared
+ * when both versions carry it (older surveys lack surface, natural, …).
+ * @returns {{ features: object[], rows: {seg_id, change, attr?, from?, to?}[],
+ *             counts: Object<string, number>, newAttrs: string[], droppedAttrs: string[] }}
+ */
+function compareDatasets(oldFC, newFC) {
+  const oldSegs = indexBySeg(oldFC);
+  const newSegs = indexBySeg(newFC);
+  const oldAttrs = attributesOf(oldFC);
+  const newAttrs = attributesOf(newFC);
+  const compared = [...REGRADE_ATTRS, ...REATTRIBUTE_ATTRS].filter(k => oldAttrs.has(k) && newAttrs.has(k));
+
+  const features = [];
+  const rows = [];
+  const counts = Object.fromEntries(Object.keys(CHANGE_STYLES).map(k => [k, 0]));
+  const record = (id, seg, change, changes = []) => {
+    counts[change]++;
+    features.push({ type: 'Feature', geometry: { type: 'MultiLineString', coordinates: seg.lines }, properties: { seg_id: id, change } });
+    if (changes.length) changes.forEach(c => rows.push({ seg_id: id, change, ...c }));
+    else rows.push({ seg_id: id, change });
+  };
+
+  newSegs.forEach((seg, id) => {
+    const before = oldSegs.get(id);
+    if (!before) { record(id, seg, 'added'); return; }
+    const changes = compared
+      .filter(k => !sameValue(before.props[k], seg.props[k]))
+      .map(k => ({ attr: k, from: before.props[k] ?? '', to: seg.props[k] ?? '' }));
+    if (!changes.length) return;
+    record(id, seg, changes.some(c => REGRADE_ATTRS.includes(c.attr)) ? 'regraded' : 'reattributed', changes);
+  });
+  oldSegs.forEach((seg, id) => { if (!newSegs.has(id)) record(id, seg, 'removed'); });
+
+  rows.sort((a, b) => a.seg_id - b.seg_id);
+  return {
+    features, rows, counts,
+    newAttrs: [...newAttrs].filter(k => !oldAttrs.has(k)),
+    droppedAttrs: [...oldAttrs].filter(k => !newAttrs.has(k))
+  };
+}
+
+function comparisonToCsv(result) {
+  const cell = (v) => /[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v);
+  const lines = [['seg_id', 'change', 'attribute', 'old', 'new'].join(',')];
+  result.rows.forEach(r => lines.push([r.seg_id, r.change, r.attr ?? '', r.from ?? '', r.to ?? ''].map(cell).join(',')));
+  return lines.join('\n') + '\n';
+}
+
+function clearComparison() {
+  ['compare-layer', 'compare-removed-layer'].forEach(id => { if (map.getLayer(id)) map.removeLayer(id); });
+  if (map.getSource('compare')) map.removeSource('compare');
+  fadeTrails('compare', false);
+}
+
+function drawComparison(features) {
+  clearComparison();
+  fadeTrails('compare', true);
+  map.addSource('compare', { type: 'geojson', data: { type: 'FeatureCollection', features } });
+  const colourByChange = ['match', ['get', 'change'],
+    ...Object.entries(CHANGE_STYLES).flatMap(([k, s]) => [k, s.colour]), '#000000'];
+  map.addLayer({ id: 'compare-layer', type: 'line', source: 'compare',
+    filter: ['!=', ['get', 'change'], 'removed'],
+    layout: { 'line-cap': 'round' },
+    paint: { 'line-color': colourByChange, 'line-width': 5 } }, belowPois());
+  // Removed sections only exist in the older survey: dashed so they read as "gone"
+  map.addLayer({ id: 'compare-removed-layer', type: 'line', source: 'compare',
+    filter: ['==', ['get', 'change'], 'removed'],
+    paint: { 'line-color': CHANGE_STYLES.removed.colour, 'line-width': 4, 'line-dasharray': [2, 2] } }, belowPois());
+}
+
+function showChangeInfo(segId) {
+  if (!comparison) return;
+  const rows = comparison.result.rows.filter(r => r.seg_id === segId);
+  if (!rows.length) return;
+  const { label, colour } = CHANGE_STYLES[rows[0].change];
+  const from = escapeHtml(comparison.from), to = escapeHtml(comparison.to); // version labels
+  const value = (v) => (v === '' ? '—' : escapeHtml(v));
+  const body = rows[0].attr
+    ? `<table class="change-table">
+         <thead><tr><th scope="col">Attribute</th><th scope="col">${from}</th><th scope="col">${to}</th></tr></thead>
+         <tbody>${rows.map(r => `<tr><th scope="row">${escapeHtml(r.attr)}</th><td>${value(r.from)}</td><td>${value(r.to)}</td></tr>`).join('')}</tbody>
+       </table>`
+    : `<p style="margin:0 0 6px 0;">${rows[0].change === 'added' ? `New in ${to}.` : `In ${from} but no longer in ${to}.`}</p>`;
+  showInfoPanel(`
+    <div class="popup-header" style="text-align:center;">
+      <div style="font-weight:700; font-size:20px; margin-bottom:10px;">Trail Section ${escapeHtml(segId)}</div>
+      <div style="font-size:12px;"><span class="change-swatch" style="background:${colour}"></span> ${label} (${from} → ${to})</div>
+    </div>
+    <div class="popup-body" style="margin-top:8px;">${body}</div>
+  `, '#ffffff');
+}
+
+map.on('click', 'compare-layer', (e) => showChangeInfo(e.features[0].properties.seg_id));
+map.on('click', 'compare-removed-layer', (e) => showChangeInfo(e.features[0].properties.seg_id));
+
+// ── Toolbox controls ──
+const compareStatus = (msg) => { document.getElementById('compare-status').textContent = msg; };
+
+function fillVersionSelects() {
+  const { versions } = DATASET_VERSIONS[document.getElementById('compare-dataset').value];
+  ['compare-from', 'compare-to'].forEach((id, i) => {
+    const select = document.getElementById(id);
+    select.innerHTML = versions.map(v => `<option value="${v}">${v}</option>`).join('');
+    select.value = versions[versions.length - 2 + i]; // previous vs latest
+  });
+}
+
+function renderComparisonSummary(result) {
+  const list = document.getElementById('compare-summary');
+  list.innerHTML = Object.entries(CHANGE_STYLES)
+    .map(([k, s]) => `<li><span class="change-swatch${k === 'removed' ? ' dashed' : ''}" style="background:${s.colour}"></span> ${s.label}: ${result.counts[k]}</li>`)
+    .join('');
+  list.hidden = false;
+}
+
+async function runComparison() {
+  const family = document.getElementById('compare-dataset').value;
+  const from = document.getElementById('compare-from').value;
+  const to = document.getElementById('compare-to').value;
+  const name = DATASET_VERSIONS[family].file;
+  if (from === to) { compareStatus('Pick two different versions.'); return; }
+
+  compareStatus(`Loading ${name} ${from} and ${to}…`);
+  let oldFC, newFC;
+  try {
+    [oldFC, newFC] = await Promise.all([loadDataset(family, from), loadDataset(family, to)]);
+  } catch (err) {
+    console.error('Failed to load dataset versions:', err && (err.name + ': ' + err.message));
+    compareStatus(`Could not load ${name} ${from} and ${to}.`);
+    return;
+  }
+
+  const result = compareDatasets(oldFC, newFC);
+  comparison = { family, from, to, result };
+  drawComparison(result.features);
+  renderComparisonSummary(result);
+  document.getElementById('compare-download').hidden = false;
+
+  const changed = result.features.length;
+  let msg = changed
+    ? `${changed} section${changed === 1 ? '' : 's'} changed between ${name} ${from} and ${to}. Click one for details.`
+    : `No section changes between ${name} ${from} and ${to}.`;
+  if (result.newAttrs.length) msg += ` New attributes in ${to}: ${result.newAttrs.join(', ')}.`;
+  if (result.droppedAttrs.length) msg += ` Dropped since ${from}: ${result.droppedAttrs.join(', ')}.`;
+  compareStatus(msg);
+  if (changed) map.fitBounds(turf.bbox({ type: 'FeatureCollection', features: result.features }), { padding: 60, maxZoom: 16 });
+}
+
+document.getElementById('compare-dataset').addEventListener('change', fillVersionSelects);
+document.getElementById('compare-run').addEventListener('click', runComparison);
+document.getElementById('compare-clear').addEventListener('click', () => {
+  comparison = null;
+  clearComparison();
+  document.getElementById('compare-summary').hidden = true;
+  document.getElementById('compare-download').hidden = true;
+  compareStatus('Pick two versions to see what changed between surveys');
+});
+document.getElementById('compare-download').addEventListener('click', () => {
+  if (!comparison) return;
+  const { family, from, to, result } = comparison;
+  downloadText(`holyrood-changes-${DATASET_VERSIONS[family].file}-${from}-${to}.csv`, comparisonToCsv(result), 'text/csv');
+});
+fillVersionSelects();
+
+// ─────────────────────────────────────────────────────────────
+// Maintainer view: consistency check between what the map shows
+// (trails_webmap) and what the route finder uses (routing_full).
+// The checks live in validate.js so they also run under Node.
+// ─────────────────────────────────────────────────────────────
+const CHECK_MAX_LISTED = 100; // per check; the download has everything
+let lastCheck = null;
+
+const checkStatus = (msg) => { document.getElementById('check-status').textContent = msg; };
+
+function renderCheckResults(result) {
+  const box = document.getElementById('check-results');
+  box.innerHTML = '';
+  Object.entries(HolyroodValidate.CHECKS).forEach(([code, check]) => {
+    const found = result.issues.filter(i => i.code === code);
+    if (!found.length) return;
+    const group = document.createElement('details');
+    group.className = `check-group ${check.level}`;
+    group.innerHTML = `<summary>${check.level === 'error' ? '⛔' : '⚠️'} ${check.label} (${found.length})</summary>`;
+    const list = document.createElement('ul');
+    found.slice(0, CHECK_MAX_LISTED).forEach(issue => {
+      const li = document.createElement('li');
+      const text = `${issue.seg_id === null ? '' : `Section ${issue.seg_id}: `}${issue.message}`;
+      if (trailBboxBySeg.has(issue.seg_id)) {
+        // Drawn sections can be inspected on the map
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'link-button';
+        btn.textContent = text;
+        btn.addEventListener('click', () => segmentActions.focus?.(issue.seg_id));
+        li.appendChild(btn);
+      } else {
+        li.textContent = text;
+      }
+      list.appendChild(li);
+    });
+    if (found.length > CHECK_MAX_LISTED) {
+      const li = document.createElement('li');
+      li.textContent = `…and ${found.length - CHECK_MAX_LISTED} more (see the downloaded report)`;
+      list.appendChild(li);
+    }
+    group.appendChild(list);
+    box.appendChild(group);
+  });
+}
+
+async function runConsistencyCheck() {
+  const trailsVersion = DATASET_VERSIONS.trails.versions.at(-1);
+  const routingVersion = DATASET_VERSIONS.routing.versions.at(-1);
+  const label = `${DATASET_VERSIONS.trails.file}_${trailsVersion} vs ${DATASET_VERSIONS.routing.file}_${routingVersion}`;
+  checkStatus(`Checking ${label}…`);
+  let displayFC, routingFC;
+  try {
+    [displayFC, routingFC] = await Promise.all([loadDataset('trails', trailsVersion), loadDataset('routing', routingVersion)]);
+  } catch (err) {
+    console.error('Failed to load datasets for checking:', err && (err.name + ': ' + err.message));
+    checkStatus(`Could not load ${label}.`);
+    return;
+  }
+  await trailsReady; // section outlines for the "fly to" links
+  const result = HolyroodValidate.validateDatasets(displayFC, routingFC, { scoreToDifficulty });
+  lastCheck = { label, result };
+  renderCheckResults(result);
+  document.getElementById('check-download').hidden = false;
+  checkStatus(`${label}: ${result.errors} error${result.errors === 1 ? '' : 's'}, ${result.warnings} warning${result.warnings === 1 ? '' : 's'}.`);
+}
+
+document.getElementById('check-run').addEventListener('click', runConsistencyCheck);
+document.getElementById('check-download').addEventListener('click', () => {
+  if (!lastCheck) return;
+  downloadText('holyrood-consistency-report.txt', `${lastCheck.label}\n\n${HolyroodValidate.formatReport(lastCheck.result)}`, 'text/plain');
+});
+
+// ─────────────────────────────────────────────────────────────
+// Accessible combobox (list autocomplete, ARIA 1.2 pattern):
+// typing filters, ↑/↓ move through options, Enter picks, Esc closes
+// (or clears when already closed). The input keeps focus throughout;
+// the highlighted option is exposed via aria-activedescendant.
+// ─────────────────────────────────────────────────────────────
+/**
+ * @param {HTMLInputElement} input  role="combobox" text box
+ * @param {HTMLElement} listbox     role="listbox" list shown under it
+ * @param {{ search: (text:string) => {label:string, detail?:string}[],
+ *           onSelect: (option:object) => void,
+ *           announce?: (msg:string) => void }} opts
+ */
+function makeCombobox(input, listbox, { search, onSelect, announce = () => {} }) {
+  let options = [];
+  let active = -1;
+
+  function close() {
+    listbox.hidden = true;
+    input.setAttribute('aria-expanded', 'false');
+    input.removeAttribute('aria-activedescendant');
+    active = -1;
+  }
+
+  function open() {
+    options = search(input.value);
+    listbox.innerHTML = '';
+    options.forEach((opt, i) => {
+      const li = document.createElement('li');
+      li.id = `${listbox.id}-${i}`;
+      li.setAttribute('role', 'option');
+      li.setAttribute('aria-selected', 'false');
+      li.innerHTML = `${escapeHtml(opt.label)}${opt.detail ? ` <span class="combo-detail">${escapeHtml(opt.detail)}</span>` : ''}`;
+      li.addEventListener('click', () => choose(i));
+      listbox.appendChild(li);
+    });
+    listbox.hidden = options.length === 0;
+    input.setAttribute('aria-expanded', String(options.length > 0));
+    active = -1;
+    input.removeAttribute('aria-activedescendant');
+    announce(options.length
+      ? `${options.length} match${options.length > 1 ? 'es' : ''}. Use the up and down arrows to choose.`
+      : 'No matching places.');
+  }
+
+  function setActive(i) {
+    if (!options.length) return;
+    active = Math.max(0, Math.min(options.length - 1, i));
+    [...listbox.children].forEach((li, j) => li.setAttribute('aria-selected', String(j === active)));
+    const li = listbox.children[active];
+    input.setAttribute('aria-activedescendant', li.id);
+    li.scrollIntoView?.({ block: 'nearest' });
+  }
+
+  function choose(i) {
+    const opt = options[i];
+    if (!opt) return;
+    input.value = opt.label;
+    close();
+    onSelect(opt);
+  }
+
+  input.addEventListener('input', open);
+  input.addEventListener('keydown', (e) => {
+    const isOpen = !listbox.hidden;
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      if (!isOpen) open();
+      setActive(active + 1);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (isOpen) setActive(active - 1);
+    } else if (e.key === 'Enter') {
+      if (isOpen && active >= 0) { e.preventDefault(); choose(active); }
+    } else if (e.key === 'Escape') {
+      if (isOpen) close(); else input.value = '';
+    }
+  });
+  // Keep focus in the input when an option is clicked, close when focus leaves
+  listbox.addEventListener('mousedown', (e) => e.preventDefault());
+  input.addEventListener('blur', close);
+  close();
+
+  return { clear() { input.value = ''; close(); } };
+}
+
+// ─────────────────────────────────────────────────────────────
+// Map load: add trail source + base inactive layer
+// 'trails' GeoJSON includes 'difficulty' used for styling/filtering
+// ─────────────────────────────────────────────────────────────
+map.on("load", () => {
+  // Source for display (HAS 'difficulty')
+  map.addSource("trails", {
+    type: "geojson",
+    data: TRAILS_URL
+  });
+  // Same sections again once their gradients are measured (for the gradient limit + colours)
+  gradientsReady.then(fc => { if (fc) map.getSource("trails").setData(fc); });
+
+  // Layer for display (inactive below, grey + non-interactive)
+  map.addLayer({
+    id: "trails-inactive",
+    type: "line",
+    source: "trails",
+    paint: {
+      "line-color": "#999999",
+      "line-width": 3,
+      "line-opacity": 0.6
+    },
+    // start with nothing shown here; filters will control visibility later
+    filter: ["==", ["get", "difficulty"], "__none__"]
+  });
+
+// ─────────────────────────────────────────────────────────────
+// Trails (active) layer: coloured + interactive
+// 1) Add layer with a temporary colour; palette is applied right after
+// ─────────────────────────────────────────────────────────────
+map.addLayer({
+  id: "trails-active",
+  type: "line",
+  source: "trails",
+  paint: {
+    "line-color": "#999999",   // temp; real colors set right after
+    "line-width": 3
+  },
+  // show everything for now; step 2 will make this dynamic
+  filter: ["in", ["get", "difficulty"], ["literal", ["easy","moderate","challenging","extreme"]]]
+});
+
+// 2) Immediately after the layer is added, apply the palette-driven colors
+refreshTrailLayerColours();
+
+// 3) White dashes over exposed sections in weather mode (applyFilter sets filter + visibility)
+map.addLayer({
+  id: "trails-exposed",
+  type: "line",
+  source: "trails",
+  layout: { visibility: "none" },
+  paint: {
+    "line-color": "#ffffff",
+    "line-width": 1.5,
+    "line-dasharray": [2, 2]
+  },
+  filter: ["==", ["get", "exposed"], "yes"]
+});
+
+// 4) Apply the current difficulty + profile filters (profile may be restored from storage)
+applyFilter();
+
+// 5) Closures hatched over the trails; facilities and access points on top, with hazard
+//    icons, then reported problems, just below them
+addClosureLayers();
+addPoiLayer();
+addHazardLayer();
+addReportLayer();
+
+// ─────────────────────────────────────────────────────────────
+// Pointer feedback + popup trigger (disabled during routing selection)
+// ─────────────────────────────────────────────────────────────
+map.on('mouseenter', 'trails-active', () => map.getCanvas().style.cursor = 'pointer');
+map.on('mouseleave', 'trails-active', () => map.getCanvas().style.cursor = '');
+
+map.on('mouseenter', 'pois-layer', () => map.getCanvas().style.cursor = 'pointer');
+map.on('mouseleave', 'pois-layer', () => map.getCanvas().style.cursor = '');
+
+map.on('click', 'pois-layer', (e) => {
+  if (routingActive || reachPicking) return;
+  showPoiInfo(poiFromFeature(e.features[0]));
+});
+
+map.on('mouseenter', 'hazards-layer', () => map.getCanvas().style.cursor = 'pointer');
+map.on('mouseleave', 'hazards-layer', () => map.getCanvas().style.cursor = '');
+
+// A hazard icon opens its section (also for sections the current filters grey out)
+map.on('click', 'hazards-layer', (e) => {
+  if (routingActive || reachPicking) return;
+  if (map.queryRenderedFeatures(e.point, { layers: ['pois-layer', 'reports-layer'] }).length) return;
+  const p = trailPropsBySeg.get(e.features[0].properties.seg_id);
+  if (p) showSegmentInfo(p);
+});
+
+// A closure area away from any trail explains itself (trails in it open their section)
+map.on('click', 'closures-fill', (e) => {
+  if (routingActive || reachPicking) return;
+  const above = ['trails-active', 'trails-inactive', 'pois-layer', 'hazards-layer', 'reports-layer'].filter(id => map.getLayer(id));
+  if (map.queryRenderedFeatures(e.point, { layers: above }).length) return;
+  const c = closures.find(x => x.id === e.features[0].properties.id);
+  if (c) showClosureInfo(c);
+});
+
+map.on('mouseenter', 'reports-layer', () => map.getCanvas().style.cursor = 'pointer');
+map.on('mouseleave', 'reports-layer', () => map.getCanvas().style.cursor = '');
+
+// A report marker opens its section, with the reports listed
+map.on('click', 'reports-layer', (e) => {
+  if (routingActive || reachPicking) return;
+  if (map.queryRenderedFeatures(e.point, { layers: ['pois-layer'] }).length) return;
+  const p = trailPropsBySeg.get(e.features[0].properties.seg_id);
+  if (p) showSegmentInfo(p);
+});
+
+map.on('click', 'trails-active', (e) => {
+  if (routingActive || reachPicking) return; // suppress popups during selection
+  // POI and hazard icons and version-comparison lines drawn on top take the click
+  const overlays = ['pois-layer', 'hazards-layer', 'reports-layer', 'compare-layer', 'compare-removed-layer'].filter(id => map.getLayer(id));
+  if (map.queryRenderedFeatures(e.point, { layers: overlays }).length) return;
+  showSegmentInfo(e.features[0].properties);
+  // Initial filter state after layer is ready (ensures active/inactive layers sync)
+  applyFilter();
+});
+
+// Shared links can name a segment: open its panel once display attributes are in
+if (urlState.seg !== null) {
+  trailsReady.then(() => {
+    const p = trailPropsBySeg.get(urlState.seg);
+    if (p) showSegmentInfo(p);
+  });
+}
+
+// ─────────────────────────────────────────────────────────────
+// Segment info panel: difficulty, surface/landcover, warnings, photos
+// ─────────────────────────────────────────────────────────────
+function showSegmentInfo(p) {
+  // --- Difficulty mapping for header badge (short label + emoji) ---
+  const diffKey = String(p.difficulty || '').toLowerCase();
+  const diffShort =
+    diffKey === 'easy'        ? 'Gentle' :
+    diffKey === 'moderate'    ? 'Moderate' :
+    diffKey === 'challenging' ? 'Challenging' :
+    diffKey === 'extreme'     ? 'Not recommended' : (p.difficulty || '—');
+
+  const diffEmoji =
+    diffKey === 'easy'        ? '🙂' :
+    diffKey === 'moderate'    ? '😐' :
+    diffKey === 'challenging' ? '⚠️' :
+    diffKey === 'extreme'     ? '🚧' : '';
+
+  // --- Difficulty sentence (body, first sentence) ---
+  let diffSentence = '';
+  switch (diffKey) {
+    case 'easy':
+      diffSentence = 'This part of the trail is gentle and straightforward.';
+      break;
+    case 'moderate':
+      diffSentence = 'This part of the trail has some steep or uneven sections.';
+      break;
+    case 'challenging':
+      diffSentence = 'This part of the trail requires <b>significant effort</b>. Plan and prepare accordingly.';
+      break;
+    case 'extreme':
+      diffSentence = 'This part of the trail is <b>not recommended</b> for most users.';
+      break;
+  }
+
+  // --- Build paragraph: difficulty + merged surface/landcover ---
+  let paragraph = diffSentence;
+  const { surface: sLCraw, landcover: lcRaw } = surfaceWording(p);
+
+  // Tweak for grammatical correctness
+  if (sLCraw && lcRaw) {
+    const article = /^[aeiou]/.test(sLCraw) ? 'an' : 'a';
+    paragraph += ` It has ${article} ${sLCraw} surface and passes through ${lcRaw}.`;
+  } else if (sLCraw) {
+    const article = /^[aeiou]/.test(sLCraw) ? 'an' : 'a';
+    paragraph += ` It has ${article} ${sLCraw} surface.`;
+  } else if (lcRaw) {
+    paragraph += ` It passes through ${lcRaw}.`;
+  }
+  paragraph += ` ${smoothnessVisibilitySentence(p)}`;
+  const gradientText = gradientSentence(p);
+  if (gradientText) paragraph += ` ${gradientText}`;
+
+  // --- Header block (segment id + difficulty badge) ---
+  const headerHtml = `
+    <div class="popup-header" style="text-align:center;">
+      <div style="font-weight:700; font-size:20px; margin-bottom:10px;">
+        Trail Section ${p.seg_id ?? '—'}
+      </div>
+      <div style="line-height:1;">
+        <div style="font-size:18px;">${diffEmoji}</div>
+        <div style="font-size:12px; margin-top:2px;">${diffShort}</div>
+      </div>
+    </div>
+  `;
+
+  // --- Body block (paragraph + warnings populated below) ---
+  let bodyHtml = `
+    <div class="popup-body" style="margin-top:8px;">
+      <p style="margin:0 0 6px 0;">${paragraph}</p>
+  `;
+
 // ─────────────────────────────────────────────────────────────
 // Append warning cards based on feature attributes
 // ─────────────────────────────────────────────────────────────
-if (String(p.vertigo || '').toLowerCase() === 'yes') {
-  bodyHtml += warningCard('Vertigo risk', 'This section feels exposed and high.');
-}
-if (Number(p.slope_class) >= 5) {
-  bodyHtml += warningCard('Steep slope', 'Inclines may be difficult for some users.');
-}
-if (Number(p.surface_score) === 4) {
-  bodyHtml += warningCard('Uneven ground', 'Expect rough or bumpy surfaces.');
-}
-if (Number(p.has_steps) === 1) {
-  bodyHtml += warningCard('Steps', 'This section includes steps that may be difficult for some users.');
-}
-if (String(p.natural || '').toLowerCase() === 'scrub') {
-  bodyHtml += warningCard('Overgrowth', 'Nettles or thorns may be present.');
-}
+if (closedSegs.has(p.seg_id)) bodyHtml += closureCard(closedSegs.get(p.seg_id));
+segmentWarnings(p).forEach(w => {
+  bodyHtml += warningCard(WARNING_LABELS[w], WARNING_TEXTS[w]);
+});
+bodyHtml += segmentReportsHtml(p.seg_id);
 bodyHtml += `</div>`; // close .popup-body
 
 // ─────────────────────────────────────────────────────────────
@@ -596,61 +2616,76 @@ if (images.length) {
   }
 }
 
-// ─────────────────────────────────────────────────────────────
-// Popup pastel background (depends on difficulty + palette)
-// ─────────────────────────────────────────────────────────────
-function popupBgFor(diff){
-  const pal = cbMode ? palettes.cb.pastel : palettes.normal.pastel;
-  const k = String(diff || '').toLowerCase();
-  return pal[k] || '#ffffff';
+  // Pastel background based on difficulty + current palette; header + body + optional images
+  showInfoPanel(`${headerHtml}${bodyHtml}${imagesHtml}`, popupBgFor(p.difficulty));
+  wireSegmentReports(p.seg_id);
+  urlState.seg = p.seg_id ?? null;
+  scheduleUrlHash();
+} // ← closes showSegmentInfo
+
+/** Fly to a trail section and open its info panel. */
+function focusSection(segId) {
+  const bbox = trailBboxBySeg.get(segId);
+  if (bbox) map.fitBounds(bbox, { padding: 80, maxZoom: 17 });
+  const p = trailPropsBySeg.get(segId);
+  if (p) showSegmentInfo(p);
 }
-  
-  // Pastel background based on difficulty + current palette
-  const bgColor = popupBgFor(p.difficulty);
-
-  // Wrap popup content to set background + add a close button
-  const wrapperStart = `<div class="popup-wrapper" style="background:${bgColor};">`;
-  const wrapperEnd = `</div>`;
-
-  // Close button (placed first so it's top-right visually via float)
-  const closeButtonHtml = `<button class="info-panel-close" aria-label="Close panel" style="float:right; background:none; border:none; font-size:16px; cursor:pointer;">✖</button>`;
-
-  // Final HTML assembled: close button + header + body + optional images
-  const html = `${wrapperStart}${closeButtonHtml}${headerHtml}${bodyHtml}${imagesHtml}${wrapperEnd}`;
-
-  // Render into the side info panel
-  const panel = document.getElementById('info-panel');
-  panel.classList.add('tour-dimmable'); // allow tutorial to dim this panel
-  panel.innerHTML = html;
-  panel.hidden = false;
-
-  // Hook up close button (hide panel on click)
-  panel.querySelector('.info-panel-close').addEventListener('click', () => {
-    panel.hidden = true;
-  });
 
-  // Initial filter state after layer is ready (ensures active/inactive layers sync)
-  applyFilter();
-  
-}); // ← closes the 'click' handler or previous map.on('load') depending on context
+// For the toolbox, reports and weather mode, which sit outside this handler
+segmentActions.show = showSegmentInfo;
+segmentActions.focus = focusSection;
 
 // ─────────────────────────────────────────────────────────────
 // Routing graph: fetch pre-split routing GeoJSON and build graphlib graph
-// Cost = distance * (score^2), with user bans applied later
+// Cost = distance * (score^2), more uphill and on steep descents; user bans applied later
 // ─────────────────────────────────────────────────────────────
 const ROUTING_URL = "https://raw.githubusercontent.com/3070271J/holyrood-trails/refs/heads/main/routing_full_v3.geojson";
 
+// Clicks further than this from every trail are rejected rather than snapped
+const SNAP_MAX_M = 40; // tweakable
+
 fetch(ROUTING_URL, { cache: 'no-store' })
   .then(r => {
     if (!r.ok) throw new Error('HTTP ' + r.status);
     return r.json();
   })
+  // Node heights come from the contours (if they fail to load, every height is unknown)
+  .then(routingFC => contoursReady.then(() => routingFC))
   .then((routingFC) => {
-    // ===== Build graph (undirected) =====
-    const g = new graphlib.Graph({ directed: false });
+    // ===== Build graph (directed: each trail piece is an edge each way) =====
+    const g = new graphlib.Graph({ directed: true });
     const nodeKeyToCoord = new Map(); // node id → [lng,lat]
     const key = (c) => c.map(v => +v.toFixed(7)).join(','); // stable key from coords
 
+    // Ground height per node from the contours (null where unknown); set from the first
+    // trail piece through it (lineHeights), elevationAt for nodes added later
+    const nodeElev = new Map();
+    const elevOf = (k) => {
+      if (!nodeElev.has(k)) nodeElev.set(k, HolyroodElevation.elevationAt(contours, nodeKeyToCoord.get(k)));
+      return nodeElev.get(k);
+    };
+
+    // Effort relative to level ground (Tobler's hiking function): climbing costs more,
+    // a gentle descent slightly less, and a steep descent more again
+    const climbFactor = (grade) => Math.exp(3.5 * Math.abs(grade + 0.05)) / Math.exp(3.5 * 0.05);
+
+    /**
+     * Label for travelling from → to: the section's attributes plus length, rise, cost and
+     * grade (from lineGradients, + uphill; 0 where heights are unknown).
+     */
+    function directedLabel(attrs, from, to, lineGrade) {
+      const meters = turf.distance(nodeKeyToCoord.get(from), nodeKeyToCoord.get(to), { units: 'meters' });
+      const za = elevOf(from), zb = elevOf(to);
+      const rise = (za === null || zb === null) ? null : zb - za; // metres, + is uphill
+      const grade = rise === null ? 0 : lineGrade;
+      // Accessibility-weighted cost (quadratic penalty discourages short steep shortcuts)
+      const cost = meters * Math.pow(attrs.score, 2) * climbFactor(grade);
+      return { ...attrs, meters, rise, grade, cost };
+    }
+
+    // Each trail piece once (the graph holds it in both directions)
+    const pairEdges = () => g.edges().filter(e => e.v < e.w);
+
     // Extreme threshold (change if score scale changes)
     const EXTREME_MIN = 8;
 
@@ -661,6 +2696,12 @@ fetch(ROUTING_URL, { cache: 'no-store' })
       // Normalize coordinate precision (stabilizes node keys)
       coords = coords.map(c => [ +c[0].toFixed(7), +c[1].toFixed(7) ]);
       const score = Number(f.properties?.total_score) || 1;
+      const heights = HolyroodElevation.lineHeights(contours, coords);
+      coords.forEach((c, i) => {
+        nodeKeyToCoord.set(key(c), c);
+        if (!nodeElev.has(key(c))) nodeElev.set(key(c), heights[i]);
+      });
+      const grades = HolyroodElevation.lineGradients(coords, heights);
 
       for (let i = 0; i < coords.length - 1; i++) {
         const aC = coords[i], bC = coords[i+1];
@@ -674,18 +2715,23 @@ fetch(ROUTING_URL, { cache: 'no-store' })
         const vertigoFlag  = (f.properties?.vertigo || '').toLowerCase();  // 'yes'/'no' or ''
         const surfaceScore = Number(f.properties?.surface_score);          // may be NaN
         const natural = f.properties?.natural ?? ''; // 'scrub' or ''
+        const segId = f.properties?.seg_id ?? null;  // links back to the display layer
+        const hasSteps     = Number(f.properties?.has_steps) || 0;
+        const smoothness   = f.properties?.smoothness ?? null;        // often missing
+        const visibility   = f.properties?.trail_visibility ?? null;  // often missing
+        const exposed      = (f.properties?.exposed || '').toLowerCase(); // 'yes'/'no' (weather mode)
 
-        // Length in meters between consecutive vertices
-        const meters = turf.distance(aC, bC, { units: 'meters' });
-        // Accessibility-weighted cost (quadratic penalty discourages short steep shortcuts)
-        const cost = meters * Math.pow(score, 2);
-
-        // Store all flags used by routing as edge label
-        const label  = { cost, score, slope_class: slopeClass, vertigo: vertigoFlag, surface_score: surfaceScore, natural };
+        // Store all flags used by routing in the edge labels (one per direction)
+        const attrs = { score, slope_class: slopeClass, vertigo: vertigoFlag, surface_score: surfaceScore, natural, seg_id: segId,
+                        has_steps: hasSteps, smoothness, trail_visibility: visibility, exposed };
+        const label = directedLabel(attrs, a, b, grades[i]);
 
         // If duplicate edge exists, keep the cheaper one (handle MultiLine or overlaps)
         const existing = g.edge({ v:a, w:b });
-        if (!existing || cost < existing.cost) g.setEdge(a, b, label);
+        if (!existing || label.cost < existing.cost) {
+          g.setEdge(a, b, label);
+          g.setEdge(b, a, directedLabel(attrs, b, a, -grades[i]));
+        }
       }
     }); // <-- closes features.forEach
 
@@ -693,17 +2739,107 @@ fetch(ROUTING_URL, { cache: 'no-store' })
     const comps = graphlib.alg.components(g);
     const compIdx = (k) => { for (let i=0;i<comps.length;i++) if (comps[i].includes(k)) return i; return -1; };
 
-    // ── Routing helpers ──────────────────────────────────────
-    function nearestNodeTo(lng, lat){
-      let best=null, bestD=Infinity;
-      for (const k of g.nodes()){
-        const c = nodeKeyToCoord.get(k); if (!c) continue;
-        const d = turf.distance(c, [lng, lat], { units:'meters' });
-        if (d < bestD){ bestD=d; best=k; }
+    // ===== Spatial index: edges bucketed in a metre grid (built once) =====
+    // Local flat projection (metres) around the park; plenty accurate at this scale
+    const M_PER_DEG_LAT = 110574;
+    const M_PER_DEG_LNG = 111320 * Math.cos(55.947 * Math.PI / 180);
+    const toXY = (c) => [c[0] * M_PER_DEG_LNG, c[1] * M_PER_DEG_LAT];
+
+    const EDGE_CELL_M = 50;       // grid cell size
+    const edgeGrid = new Map();   // "cx,cy" → Set of { v, w, ax, ay, bx, by }
+
+    function makeSegment(v, w) {
+      const [ax, ay] = toXY(nodeKeyToCoord.get(v)), [bx, by] = toXY(nodeKeyToCoord.get(w));
+      return { v, w, ax, ay, bx, by };
+    }
+
+    // Every cell the segment's bounding box touches
+    function cellsOf(s) {
+      const cells = [];
+      for (let cx = Math.floor(Math.min(s.ax, s.bx) / EDGE_CELL_M); cx <= Math.floor(Math.max(s.ax, s.bx) / EDGE_CELL_M); cx++)
+        for (let cy = Math.floor(Math.min(s.ay, s.by) / EDGE_CELL_M); cy <= Math.floor(Math.max(s.ay, s.by) / EDGE_CELL_M); cy++)
+          cells.push(`${cx},${cy}`);
+      return cells;
+    }
+
+    function indexSegment(s) {
+      cellsOf(s).forEach(c => { if (!edgeGrid.has(c)) edgeGrid.set(c, new Set()); edgeGrid.get(c).add(s); });
+    }
+
+    function unindexSegment(s) {
+      cellsOf(s).forEach(c => edgeGrid.get(c)?.delete(s));
+    }
+
+    pairEdges().forEach(({ v, w }) => indexSegment(makeSegment(v, w)));
+
+    // Position (0–1) of the closest point on segment s to (x,y), and its distance in metres
+    function projectOnSegment(x, y, s) {
+      const dx = s.bx - s.ax, dy = s.by - s.ay;
+      const len2 = dx*dx + dy*dy;
+      const t = len2 ? Math.max(0, Math.min(1, ((x - s.ax)*dx + (y - s.ay)*dy) / len2)) : 0;
+      return { t, d: Math.hypot(x - (s.ax + t*dx), y - (s.ay + t*dy)) };
+    }
+
+    /** Closest graph edge within maxD metres of coord: { seg, t, d } or null. */
+    function nearestEdgeTo(coord, maxD) {
+      const [x, y] = toXY(coord);
+      const r = Math.ceil(maxD / EDGE_CELL_M);
+      const cx0 = Math.floor(x / EDGE_CELL_M), cy0 = Math.floor(y / EDGE_CELL_M);
+      let best = null;
+      for (let cx = cx0 - r; cx <= cx0 + r; cx++) {
+        for (let cy = cy0 - r; cy <= cy0 + r; cy++) {
+          edgeGrid.get(`${cx},${cy}`)?.forEach(seg => {
+            const { t, d } = projectOnSegment(x, y, seg);
+            if (d <= maxD && (!best || d < best.d)) best = { seg, t, d };
+          });
+        }
       }
       return best;
     }
 
+    // ── Routing helpers ──────────────────────────────────────
+    const SNAP_VERTEX_M = 2; // this close to a vertex, use the vertex instead of splitting
+    const SNAP_TOO_FAR_MSG = `That point is more than ${SNAP_MAX_M} m from any mapped trail. Click on or next to a trail.`;
+
+    // Insert a node part-way along an edge (t = 0–1), replacing the edge with two halves
+    function splitEdgeAt(seg, t) {
+      const { v, w } = seg;
+      const lab = g.edge({ v, w }) || g.edge({ v: w, w: v });
+      const a = nodeKeyToCoord.get(v), b = nodeKeyToCoord.get(w);
+      const c = [ +(a[0] + (b[0]-a[0])*t).toFixed(7), +(a[1] + (b[1]-a[1])*t).toFixed(7) ];
+      const n = key(c);
+      if (g.hasNode(n)) return n;
+
+      nodeKeyToCoord.set(n, c);
+      const za = elevOf(v), zb = elevOf(w);
+      nodeElev.set(n, (za === null || zb === null) ? null : za + (zb - za) * t);
+      g.setNode(n);
+      g.removeEdge(v, w);
+      g.removeEdge(w, v);
+      // Each half keeps the edge's attributes; length, rise and cost follow the new geometry
+      [[v, n], [n, w]].forEach(([from, to]) => {
+        g.setEdge(from, to, directedLabel(lab, from, to, lab.grade));
+        g.setEdge(to, from, directedLabel(lab, to, from, -lab.grade));
+      });
+      comps[compIdx(v)].push(n);
+
+      unindexSegment(seg);
+      indexSegment(makeSegment(v, n));
+      indexSegment(makeSegment(n, w));
+      return n;
+    }
+
+    /** Node for a point: the closest point on the nearest edge (null if none within maxD metres). */
+    function snapToTrail(lng, lat, maxD = SNAP_MAX_M){
+      const hit = nearestEdgeTo([lng, lat], maxD);
+      if (!hit) return null;
+      const { seg, t } = hit;
+      const segLen = Math.hypot(seg.bx - seg.ax, seg.by - seg.ay);
+      if (t * segLen <= SNAP_VERTEX_M) return seg.v;
+      if ((1 - t) * segLen <= SNAP_VERTEX_M) return seg.w;
+      return splitEdgeAt(seg, t);
+    }
+
     // Reconstruct path from Dijkstra predecessors
     function backtrack(prev, startKey, endKey){
       const path=[]; let cur=endKey;
@@ -720,30 +2856,196 @@ fetch(ROUTING_URL, { cache: 'no-store' })
       else {
         map.addSource('shortest-path', { type:'geojson', data: fc });
         map.addLayer({ id:'shortest-path-layer', type:'line', source:'shortest-path',
-          paint:{ 'line-color':'#1e90ff', 'line-width':5 } });
+          paint:{ 'line-color':'#1e90ff', 'line-width':5 } }, belowPois());
       }
+      return coords; // handed on to the elevation profile
     }
   
+    // Where a closure blocks the way: the stretches of the closed way off the route, dashed red
+    function drawClosedWay(closedPath, routePath){
+      const onRoute = pathEdgeSet(routePath);
+      const runs = [];
+      let run = [];
+      for (let i = 0; i < closedPath.length - 1; i++){
+        const [v, w] = [closedPath[i], closedPath[i+1]].sort();
+        if (onRoute.has(`${v}|${w}`)) {
+          if (run.length > 1) runs.push(run);
+          run = [];
+          continue;
+        }
+        if (!run.length) run.push(nodeKeyToCoord.get(closedPath[i]));
+        run.push(nodeKeyToCoord.get(closedPath[i+1]));
+      }
+      if (run.length > 1) runs.push(run);
+      const fc = { type:'FeatureCollection', features: runs.map(coords => ({ type:'Feature', geometry:{ type:'LineString', coordinates: coords }, properties:{} })) };
+      if (map.getSource('route-closed')) map.getSource('route-closed').setData(fc);
+      else {
+        map.addSource('route-closed', { type:'geojson', data: fc });
+        map.addLayer({ id:'route-closed-layer', type:'line', source:'route-closed',
+          paint:{ 'line-color': CLOSURE_COLOUR, 'line-width': 4, 'line-dasharray': [1, 1] } }, belowPois());
+      }
+    }
+
      // ===== Map routing graphics helpers =====
-    // Remove any existing route + markers (used when clearing/resetting)
+    // Remove any existing route line (waypoint markers are managed separately)
     function clearRouteGraphics(){
-      ['shortest-path','start','end'].forEach(base=>{
+      ['shortest-path','route-closed','route-cursor','route-step-line','route-step-point', ...routeAlternatives.map(alt => `route-alt-${alt.id}`)].forEach(base=>{
         if (map.getLayer(`${base}-layer`)) map.removeLayer(`${base}-layer`);
         if (map.getSource(base)) map.removeSource(base);
       });
+      hideElevationProfile();
+      hideDirections();
+      hideRouteSummary();
+      routeAlternatives = [];
+      renderAlternativeList();
     }
 
-    // Add start/end markers (styled as circles with outline)
-    function addMarker(id, coord, color){
-      const fc = { type:'FeatureCollection', features:[{ type:'Feature', geometry:{ type:'Point', coordinates: coord } }]};
-      if (map.getSource(id)) map.getSource(id).setData(fc);
-      else {
-        map.addSource(id, { type:'geojson', data: fc });
-        map.addLayer({ id:`${id}-layer`, type:'circle', source:id,
-          paint:{ 'circle-radius':6, 'circle-color':color, 'circle-stroke-width':2, 'circle-stroke-color':'#fff' } });
-      }
+    // Draggable numbered marker for one waypoint (DOM marker so it can be dragged)
+    function makeWaypointMarker(index, total, coord){
+      const markerPal = cbMode ? palettes.cb : palettes.normal;
+      const isStart = index === 0, isEnd = total > 1 && index === total - 1;
+      const el = document.createElement('div');
+      el.className = 'waypoint-marker';
+      el.textContent = isStart ? 'A' : (isEnd ? 'B' : String(index));
+      el.style.backgroundColor = isStart ? markerPal.markerStart : (isEnd ? markerPal.markerEnd : markerPal.markerVia);
+      el.setAttribute('aria-label', waypointRole(index, total));
+      return new mapboxgl.Marker({ element: el, draggable: true }).setLngLat(coord).addTo(map);
     }
   
+  // ===== Elevation profile panel (chart + hover marker on the route) =====
+  const profileEl = document.getElementById('elevation-panel');
+  const PROFILE_W = 300, PROFILE_H = 120;           // SVG viewBox size
+  const PLOT = { left: 34, right: 8, top: 8, bottom: 20 }; // room for axis labels
+
+  // Move (or remove, if coord is null) the hover marker on the route
+  function setRouteCursor(coord) {
+    const fc = { type:'FeatureCollection', features: coord ? [{ type:'Feature', geometry:{ type:'Point', coordinates: coord } }] : [] };
+    if (map.getSource('route-cursor')) map.getSource('route-cursor').setData(fc);
+    else if (coord) {
+      map.addSource('route-cursor', { type:'geojson', data: fc });
+      map.addLayer({ id:'route-cursor-layer', type:'circle', source:'route-cursor',
+        paint:{ 'circle-radius':7, 'circle-color':'#1e90ff', 'circle-stroke-width':3, 'circle-stroke-color':'#fff' } });
+    }
+  }
+
+  let profileCoords = null; // route the chart is for; a late redraw for any other is dropped
+
+  /**
+   * Draw the elevation chart for a route and return { up, down } in metres.
+   * Returns null (panel hidden) if contour data is unavailable.
+   */
+  function showElevationProfile(coords) {
+    if (!profileEl || coords.length < 2) return null;
+    profileCoords = coords;
+    if (!contours) {
+      // Contours still loading: draw once they arrive, unless the route has changed or
+      // been cleared by then (hint text stays as is)
+      contoursReady.then(loaded => { if (loaded && profileCoords === coords) showElevationProfile(coords); });
+      return null;
+    }
+
+    const line = turf.lineString(coords);
+    const totalM = turf.length(line, { units: 'kilometers' }) * 1000;
+    const samples = HolyroodElevation.routeElevationSamples(contours, coords);
+    const climb = HolyroodElevation.ascentDescent(samples);
+
+    const summary = `Total ascent ${Math.round(climb.up)} m · Total descent ${Math.round(climb.down)} m`;
+    let chartHtml;
+    if (samples.length < 2) {
+      chartHtml = `<p class="elevation-note">This route stays between two 10 m contours, so it is roughly level.</p>`;
+    } else {
+      const elevs = samples.map(s => s.elev);
+      const lo = Math.min(...elevs) - 5, hi = Math.max(...elevs) + 5;
+      const plotW = PROFILE_W - PLOT.left - PLOT.right;
+      const plotH = PROFILE_H - PLOT.top - PLOT.bottom;
+      const x = d => PLOT.left + (d / totalM) * plotW;
+      const y = z => PLOT.top + (1 - (z - lo) / (hi - lo)) * plotH;
+      const base = PLOT.top + plotH;
+
+      // Flat ends before the first / after the last crossing (height unknown beyond them)
+      const pts = [{ d: 0, elev: samples[0].elev }, ...samples, { d: totalM, elev: samples[samples.length - 1].elev }]
+        .map(s => `${x(s.d).toFixed(1)},${y(s.elev).toFixed(1)}`);
+
+      chartHtml = `
+        <svg class="elevation-chart" viewBox="0 0 ${PROFILE_W} ${PROFILE_H}" tabindex="0" role="img"
+             aria-label="Elevation profile. ${summary}. Use left and right arrow keys to move along the route.">
+          <polygon points="${x(0)},${base} ${pts.join(' ')} ${x(totalM)},${base}" fill="#cfe3f7"></polygon>
+          <polyline points="${pts.join(' ')}" fill="none" stroke="#1e90ff" stroke-width="2"></polyline>
+          <line x1="${PLOT.left}" y1="${base}" x2="${PROFILE_W - PLOT.right}" y2="${base}" stroke="#999"></line>
+          <text x="${PLOT.left - 4}" y="${y(hi - 5) + 4}" text-anchor="end">${hi - 5} m</text>
+          <text x="${PLOT.left - 4}" y="${y(lo + 5) + 4}" text-anchor="end">${lo + 5} m</text>
+          <text x="${PLOT.left}" y="${PROFILE_H - 4}">0</text>
+          <text x="${PROFILE_W - PLOT.right}" y="${PROFILE_H - 4}" text-anchor="end">${formatDistance(totalM)}</text>
+          <line class="elevation-cursor" x1="0" y1="${PLOT.top}" x2="0" y2="${base}" stroke="#333" stroke-dasharray="3 2" visibility="hidden"></line>
+        </svg>
+        <div class="elevation-readout" aria-live="polite"></div>`;
+    }
+
+    profileEl.innerHTML = `
+      <h4>Elevation profile</h4>
+      <div class="elevation-summary">${summary}</div>
+      ${chartHtml}`;
+    profileEl.hidden = false;
+
+    const svg = profileEl.querySelector('svg');
+    if (svg) bindProfileHover(svg, line, samples, totalM);
+    return climb;
+  }
+
+  // Hover/keyboard on the chart → vertical cursor + marker along the route
+  function bindProfileHover(svg, line, samples, totalM) {
+    const cursor = svg.querySelector('.elevation-cursor');
+    const readout = profileEl.querySelector('.elevation-readout');
+    const plotW = PROFILE_W - PLOT.left - PLOT.right;
+    let current = 0; // metres along route (keyboard position)
+
+    function moveTo(d) {
+      current = Math.min(Math.max(d, 0), totalM);
+      const cx = PLOT.left + (current / totalM) * plotW;
+      cursor.setAttribute('x1', cx); cursor.setAttribute('x2', cx);
+      cursor.setAttribute('visibility', 'visible');
+      setRouteCursor(turf.along(line, current / 1000).geometry.coordinates);
+      const z = HolyroodElevation.elevationAtDistance(samples, current);
+      readout.textContent = `${formatDistance(current)} along · about ${Math.round(z)} m`;
+    }
+
+    function clear() {
+      cursor.setAttribute('visibility', 'hidden');
+      readout.textContent = '';
+      setRouteCursor(null);
+    }
+
+    svg.addEventListener('mousemove', (e) => {
+      const r = svg.getBoundingClientRect();
+      const px = (e.clientX - r.left) * (PROFILE_W / r.width); // screen → viewBox units
+      moveTo(((px - PLOT.left) / plotW) * totalM);
+    });
+    svg.addEventListener('mouseleave', clear);
+    svg.addEventListener('blur', clear);
+    svg.addEventListener('keydown', (e) => {
+      const step = totalM / 20;
+      if (e.key === 'ArrowRight') { moveTo(current + step); e.preventDefault(); }
+      else if (e.key === 'ArrowLeft') { moveTo(current - step); e.preventDefault(); }
+      else if (e.key === 'Home') { moveTo(0); e.preventDefault(); }
+      else if (e.key === 'End') { moveTo(totalM); e.preventDefault(); }
+    });
+  }
+
+  function hideElevationProfile() {
+    profileCoords = null;
+    if (!profileEl) return;
+    profileEl.hidden = true;
+    profileEl.innerHTML = '';
+  }
+
+  // Short climb phrase for the route hint ('' if no elevation data)
+  function climbText(climb) {
+    return climb ? `, ${Math.round(climb.up)} m ascent / ${Math.round(climb.down)} m descent` : '';
+  }
+
+  // Initial route finder status text (restored when a route is cleared)
+  const ROUTE_STATUS_DEFAULT = document.getElementById('route-status')?.textContent || '';
+
   // ===== Route hint banner (appears at top during routing) =====
   const hintEl = document.getElementById('route-hint');
 
@@ -768,6 +3070,8 @@ fetch(ROUTING_URL, { cache: 'no-store' })
     if (!panel) return;
     panel.hidden = true;
     panel.innerHTML = '';
+    urlState.seg = null;
+    scheduleUrlHash();
   }
   
   // ===== Utility: route length calculations =====
@@ -867,201 +3171,1532 @@ fetch(ROUTING_URL, { cache: 'no-store' })
 
 // ─────────────────────────────────────────────────────────────
 /* Routing UI: start/clear buttons (first pair)
-   - Start: enter selection mode, clear graphics, hide info panel, show hint
-   - Clear: exit selection mode, clear graphics, hide hint
+   - Start: enter selection mode, clear waypoints + graphics, hide info panel, show hint
+   - Clear: exit selection mode, clear waypoints + graphics, hide hint
 */
 // ─────────────────────────────────────────────────────────────
 document.getElementById('start-routing').addEventListener('click', () => {
   routingActive = true;
-  startNode = endNode = null;
-  clearRouteGraphics();
+  resetWaypoints();
   hideInfoPanel();  // <-- auto-close details panel so map is in focus
-  showRouteHint('Click a start point, then an end point.');
+  showRouteHint(selectionPrompt());
 });
 
 document.getElementById('clear-routing').addEventListener('click', () => {
   routingActive = false;
-  startNode = endNode = null;
-  clearRouteGraphics();
+  resetWaypoints();
   hideRouteHint();
   // hideInfoPanel();
 });
 
 // ─────────────────────────────────────────────────────────────
-// Routing state + second pair of handlers (duplicated on purpose)
-// (Keeps behaviour explicit; both pairs do the same thing.)
+// Routing state + second pair of handlers (duplicated on purpose)
+// (Keeps behaviour explicit; both pairs do the same thing.)
+// ─────────────────────────────────────────────────────────────
+routingActive = false;
+let waypoints = [];       // ordered graph node keys: start → stops … → end
+let waypointMarkers = []; // mapboxgl.Marker per waypoint (same order)
+// const statusEl = document.getElementById('route-status'); // optional helper for inline status
+
+document.getElementById('start-routing').addEventListener('click', () => {
+  routingActive = true;
+  resetWaypoints();
+  showRouteHint(selectionPrompt());
+});
+
+document.getElementById('clear-routing').addEventListener('click', () => {
+  routingActive = false;
+  resetWaypoints();
+  hideRouteHint();
+});
+
+// ─────────────────────────────────────────────────────────────
+// Edge label helper
+// Returns a safe label if the edge is missing (treated as impassable)
+// ─────────────────────────────────────────────────────────────
+const labelOf = (e) => g.edge(e) || { cost: Infinity, meters: 0, score: 99, slope_class: 99, vertigo: 'no', surface_score: 99, natural: '', has_steps: 0, smoothness: null, trail_visibility: null, exposed: 'no', rise: null, grade: 0 };
+
+// ─────────────────────────────────────────────────────────────
+/* Weight function factory (edges are directed: e = { v: from, w: to }):
+   - strategy: 'gentlest' (meters * score^2, more uphill and on steep descents), 'shortest' (meters) or
+     'fewest' (meters, heavily inflated per warning on the edge)
+   - Reads current UI prefs (difficulty checkboxes + profile thresholds)
+   - Enforces bans (difficulty, extreme on pass 1, "never" profile conditions)
+   - Multiplies cost for "avoid if possible" conditions (adjustable penalties)
+   - Returns edge cost or Infinity (to remove edge from consideration)
+*/
+// ─────────────────────────────────────────────────────────────
+function makeWeightFn(avoidExtreme, strategy = 'gentlest', ignoreClosures = false) {
+  const allowed = new Set(getCheckedDifficulties());
+  const prefs = getPrefs();
+
+  return (e) => {
+    const lab = labelOf(e); // { cost, score, slope_class, vertigo, surface_score, natural, has_steps, smoothness, trail_visibility, exposed, rise, grade }
+    const diff = scoreToDifficulty(lab.score);
+
+    // Closed today, whatever the profile (ignored only to find the way a closure blocks)
+    if (!ignoreClosures && closedSegs.has(lab.seg_id)) return Infinity;
+
+    // Difficulty filter (must be allowed)
+    if (!allowed.has(diff)) return Infinity;
+
+    // Pass 1: avoid extreme segments completely
+    if (avoidExtreme && diff === 'extreme') return Infinity;
+
+    // Base cost for the chosen strategy
+    let cost = lab.cost;
+    if (strategy === 'shortest') cost = lab.meters;
+    if (strategy === 'fewest') cost = lab.meters * (1 + WARNING_WEIGHT * segmentWarnings(lab).length);
+
+    // Profile conditions: "never" removes the edge, "avoid if possible" multiplies its cost
+    for (const k of conditionsOf(lab, prefs)) {
+      if (prefs.levels[k] === 'ban') return Infinity;
+      if (prefs.levels[k] === 'avoid') cost *= prefs.penalties[k];
+    }
+
+    // Strategy cost (with any soft penalties applied)
+    return cost;
+  };
+}
+
+// "Fewest warnings" strategy: each warning on an edge adds this many times its length
+const WARNING_WEIGHT = 20;
+
+// ─────────────────────────────────────────────────────────────
+// Inspect path edges to see if any are "extreme" (score >= EXTREME_MIN)
+// Used to decide which advisory message to show
+// ─────────────────────────────────────────────────────────────
+function hasExtremeOnPath(nodeKeys){
+  for (let i = 0; i < nodeKeys.length - 1; i++){
+    const v = nodeKeys[i], w = nodeKeys[i+1];
+    const lab = g.edge({ v, w }) || g.edge({ v: w, w: v });
+    if (lab && lab.score >= EXTREME_MIN) return true;
+  }
+  return false;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Metres of each "avoid if possible" condition still on a path
+// (the route summary says what couldn't be avoided)
+// ─────────────────────────────────────────────────────────────
+function avoidedConditionMeters(nodeKeys){
+  const prefs = getPrefs();
+  const totals = {};
+  pathEdgeLabels(nodeKeys).forEach(lab => {
+    conditionsOf(lab, prefs).forEach(k => {
+      if (prefs.levels[k] === 'avoid') totals[k] = (totals[k] || 0) + lab.meters;
+    });
+  });
+  return totals;
+}
+
+/** Edge labels along a node path, in travel order (missing edges skipped). */
+function pathEdgeLabels(nodeKeys){
+  const labels = [];
+  for (let i = 0; i < nodeKeys.length - 1; i++){
+    const v = nodeKeys[i], w = nodeKeys[i+1];
+    const lab = g.edge({ v, w }) || g.edge({ v: w, w: v });
+    if (lab) labels.push(lab);
+  }
+  return labels;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Waypoints: list + draggable markers; any change re-solves the route
+// ─────────────────────────────────────────────────────────────
+
+// Hint shown when selection starts (depends on route type)
+function selectionPrompt() {
+  return getRouteMode() === 'loop'
+    ? `Click where the loop should start and finish (about ${formatDistance(getLoopTargetM())}).`
+    : 'Click a start point, then each stop in order. The last point is the end.';
+}
+
+/** Role shown for a waypoint position: "Start", "Stop 1", …, "End". */
+function waypointRole(i, total) {
+  if (i === 0) return 'Start';
+  if (i === total - 1) return 'End';
+  return `Stop ${i}`;
+}
+
+/** seg_id of a trail edge touching a node (used to name waypoints). */
+function segIdAtNode(k) {
+  const edges = g.nodeEdges(k) || [];
+  return edges.length ? labelOf(edges[0]).seg_id : null;
+}
+
+function resetWaypoints() {
+  waypoints = [];
+  renderWaypoints();
+  clearRouteGraphics();
+}
+
+function addWaypoint(node) {
+  // A loop has just one point: another click moves it
+  if (getRouteMode() === 'loop') waypoints = [node];
+  else waypoints.push(node);
+  renderWaypoints();
+  solveRoute();
+}
+
+function moveWaypoint(i, delta) {
+  const j = i + delta;
+  if (j < 0 || j >= waypoints.length) return;
+  [waypoints[i], waypoints[j]] = [waypoints[j], waypoints[i]];
+  renderWaypoints();
+  solveRoute();
+  // Keep keyboard focus on the item that moved
+  const btn = document.querySelector(`#waypoint-list li:nth-child(${j + 1}) [data-act="${delta < 0 ? 'up' : 'down'}"]`);
+  if (btn && !btn.disabled) btn.focus();
+}
+
+function removeWaypoint(i) {
+  waypoints.splice(i, 1);
+  renderWaypoints();
+  solveRoute();
+}
+
+// Redraw markers (positions, colours, labels) and the toolbox list
+function renderWaypoints() {
+  waypointMarkers.forEach(m => m.remove());
+  waypointMarkers = waypoints.map((k, i) => {
+    const marker = makeWaypointMarker(i, waypoints.length, nodeKeyToCoord.get(k));
+    // Don't let a click on the marker add another waypoint underneath it
+    marker.getElement().addEventListener('click', (ev) => ev.stopPropagation());
+    marker.on('dragend', () => {
+      const ll = marker.getLngLat();
+      const node = snapToTrail(ll.lng, ll.lat);
+      if (node) waypoints[i] = node;
+      renderWaypoints(); // snaps the marker onto the trail (or back where it was)
+      if (!node) { showRouteHint(SNAP_TOO_FAR_MSG); return; }
+      solveRoute();
+    });
+    return marker;
+  });
+
+  const list = document.getElementById('waypoint-list');
+  if (!list) return;
+  list.innerHTML = '';
+  waypoints.forEach((k, i) => {
+    const role = waypointRole(i, waypoints.length);
+    const li = document.createElement('li');
+    li.innerHTML = `
+      <span class="waypoint-name">${role}: ${escapeHtml(placeNames.get(k) ?? `Trail Section ${segIdAtNode(k) ?? '—'}`)}</span>
+      <span class="waypoint-actions">
+        <button type="button" data-act="up" aria-label="Move ${role} earlier" ${i === 0 ? 'disabled' : ''}>↑</button>
+        <button type="button" data-act="down" aria-label="Move ${role} later" ${i === waypoints.length - 1 ? 'disabled' : ''}>↓</button>
+        <button type="button" data-act="remove" aria-label="Remove ${role}">✖</button>
+      </span>`;
+    li.querySelector('[data-act="up"]').addEventListener('click', () => moveWaypoint(i, -1));
+    li.querySelector('[data-act="down"]').addEventListener('click', () => moveWaypoint(i, 1));
+    li.querySelector('[data-act="remove"]').addEventListener('click', () => removeWaypoint(i));
+    list.appendChild(li);
+  });
+  list.hidden = waypoints.length === 0;
+
+  urlState.route = waypoints.map(k => nodeKeyToCoord.get(k));
+  scheduleUrlHash();
+}
+
+// ─────────────────────────────────────────────────────────────
+/* Leg solver (same rules for every leg and every strategy):
+   - PASS 1: avoid extreme segments
+   - PASS 2: allow extreme (only if "extreme" is checked), other bans still apply
+   - extra (optional): edge → cost multiplier on top (loops use it to avoid reusing edges)
+   - ignoreClosures: route as if nothing were closed (to show what a closure blocks)
+   Returns { path, usedExtreme } or { error } with a user-facing message
+*/
+// ─────────────────────────────────────────────────────────────
+function solveLeg(from, to, strategy = 'gentlest', extra = null, ignoreClosures = false) {
+  if (from === to) return { path: [from], usedExtreme: false };
+
+  // Check connectivity (skip if nodes are in different components)
+  if (compIdx(from) !== compIdx(to)) return { error: 'No path: these points are disconnected.' };
+
+  const weightFn = (avoidExtreme) => {
+    const base = makeWeightFn(avoidExtreme, strategy, ignoreClosures);
+    return extra ? (e) => base(e) * extra(e) : base;
+  };
+
+  // PASS 1: avoid extreme segments
+  let res = graphlib.alg.dijkstra(g, from, weightFn(true), v => g.outEdges(v));
+  let endInfo = res[to];
+  if (endInfo && isFinite(endInfo.distance)) {
+    return { path: backtrack(res, from, to), usedExtreme: false };
+  }
+
+  // Only attempt PASS 2 if "extreme" difficulty is allowed
+  if (!new Set(getCheckedDifficulties()).has('extreme')) {
+    return { error: 'No route with current preferences.' };
+  }
+
+  // PASS 2: allow extreme sections, but still respect other bans
+  res = graphlib.alg.dijkstra(g, from, weightFn(false), v => g.outEdges(v));
+  endInfo = res[to];
+  if (!endInfo || !isFinite(endInfo.distance)) return { error: 'No path found.' };
+
+  const path = backtrack(res, from, to);
+  return { path, usedExtreme: hasExtremeOnPath(path) };
+}
+
+/**
+ * Solve every leg between consecutive waypoints with one strategy.
+ * Returns { legs, path } or { error } (message already names the failing leg).
+ */
+function solveAllLegs(strategy, ignoreClosures = false) {
+  const n = waypoints.length;
+  const legs = [];
+  for (let i = 0; i < n - 1; i++) {
+    const leg = solveLeg(waypoints[i], waypoints[i+1], strategy, null, ignoreClosures);
+    if (leg.error) {
+      return { error: n > 2 ? `Leg ${i+1} (${waypointRole(i, n)} → ${waypointRole(i+1, n)}): ${leg.error}` : leg.error };
+    }
+    legs.push({ ...leg, meters: pathLengthMeters(leg.path, nodeKeyToCoord) });
+  }
+  // Join legs end-to-start (drop the shared node between legs)
+  const path = legs.reduce((acc, leg) => acc.length ? acc.concat(leg.path.slice(1)) : leg.path.slice(), []);
+  return { legs, path };
+}
+
+// ─────────────────────────────────────────────────────────────
+// Alternative routes: one per strategy, near-duplicates merged,
+// each drawn in its own style and listed for the user to choose
+// ─────────────────────────────────────────────────────────────
+const ROUTE_STRATEGIES = [
+  { id: 'gentlest', name: 'Gentlest', color: '#1e90ff', dash: [1, 0] },
+  { id: 'shortest', name: 'Shortest', color: '#7b1fa2', dash: [2, 1.5] },
+  { id: 'fewest',   name: 'Fewest warnings', color: '#00897b', dash: [0.5, 1.5] }
+];
+const ALT_OVERLAP_MAX = 0.9; // share of length two options may have in common and still both be listed
+
+let routeAlternatives = []; // [{ id, name, color, dash, legs, path, stats }]
+let selectedAltId = 'gentlest';
+
+/** Distance per difficulty band + counts of steps / vertigo / scrub trail sections on a path. */
+function routeStats(nodeKeys) {
+  const bands = { easy: 0, moderate: 0, challenging: 0, extreme: 0 };
+  const sections = Object.fromEntries(Object.keys(WARNING_LABELS).map(k => [k, new Set()]));
+  let meters = 0, exposedM = 0;
+  pathEdgeLabels(nodeKeys).forEach(lab => {
+    meters += lab.meters;
+    bands[scoreToDifficulty(lab.score)] += lab.meters;
+    if (lab.exposed === 'yes') exposedM += lab.meters;
+    segmentWarnings(lab).forEach(w => sections[w].add(lab.seg_id));
+  });
+  // Section counts per warning key (steps, vertigo, steep, …)
+  return { meters, bands, exposedM, ...Object.fromEntries(Object.entries(sections).map(([k, ids]) => [k, ids.size])) };
+}
+
+// Undirected edge ids on a path, with their lengths (for overlap checks)
+function pathEdgeSet(nodeKeys) {
+  const edges = new Map();
+  for (let i = 0; i < nodeKeys.length - 1; i++) {
+    const [v, w] = [nodeKeys[i], nodeKeys[i+1]].sort();
+    const lab = g.edge({ v, w }) || g.edge({ v: w, w: v });
+    edges.set(`${v}|${w}`, lab ? lab.meters : 0);
+  }
+  return edges;
+}
+
+/** Share of b's length that is also on a (0–1). */
+function overlapShare(a, b) {
+  let shared = 0, total = 0;
+  b.forEach((m, k) => { total += m; if (a.has(k)) shared += m; });
+  return total ? shared / total : 1;
+}
+
+/** Closures in force along a path, each once in travel order. */
+function closuresOnPath(nodeKeys) {
+  const found = [];
+  pathEdgeLabels(nodeKeys).forEach(lab => {
+    const c = closedSegs.get(lab.seg_id);
+    if (c && !found.includes(c)) found.push(c);
+  });
+  return found;
+}
+
+const closureNames = (list) => list.map(c => `${c.reason} (${closureDates(c)})`).join('; ');
+
+/**
+ * The way a strategy would go between the waypoints if nothing were closed, when
+ * that way goes through a closure: { path, closures }. null otherwise.
+ */
+function closedWayFor(strategy) {
+  if (!closedSegs.size) return null;
+  const res = solveAllLegs(strategy, true);
+  if (res.error) return null;
+  const through = closuresOnPath(res.path);
+  return through.length ? { path: res.path, closures: through } : null;
+}
+
+/** Solve each strategy, then keep only meaningfully different options. */
+function solveRoute() {
+  refreshClosures(); // a closure may have started or ended since the last route
+  clearRouteGraphics();
+  const n = waypoints.length;
+  if (n === 0) return;
+  if (getRouteMode() === 'loop') {
+    solveLoops();
+    return;
+  }
+  if (n === 1) {
+    showRouteHint('Now click an end point (or the next stop on the way).');
+    return;
+  }
+
+  const alts = [];
+  for (const strat of ROUTE_STRATEGIES) {
+    const res = solveAllLegs(strat.id);
+    if (res.error) {
+      // Every strategy shares the same bans, so a failure applies to all of them
+      const blocked = closedWayFor(strat.id);
+      if (blocked) drawClosedWay(blocked.path, []);
+      showRouteHint(blocked ? `${res.error} The way through is closed: ${closureNames(blocked.closures)}.` : res.error);
+      return;
+    }
+    if (res.path.length < 2) {
+      showRouteHint('Start and end are the same point. Add another stop.');
+      return;
+    }
+    const edges = pathEdgeSet(res.path);
+    const twin = alts.find(a => overlapShare(a.edges, edges) > ALT_OVERLAP_MAX && overlapShare(edges, a.edges) > ALT_OVERLAP_MAX);
+    if (twin) {
+      twin.name += ` & ${strat.name.toLowerCase()}`; // e.g. "Gentlest & shortest"
+      twin.ids.push(strat.id);
+      continue;
+    }
+    alts.push({ ...strat, ids: [strat.id], legs: res.legs, path: res.path, edges, stats: routeStats(res.path) });
+  }
+  routeAlternatives = alts;
+
+  // Keep the user's choice across re-solves if that strategy still exists
+  const keep = alts.find(a => a.ids.includes(selectedAltId)) || alts[0];
+  drawAlternatives();
+  selectAlternative(keep.id);
+}
+
+// Unselected options: thinner, dashed lines in their own colour (under the chosen route)
+function drawAlternatives() {
+  routeAlternatives.forEach(alt => {
+    const id = `route-alt-${alt.id}`;
+    const coords = alt.path.map(k => nodeKeyToCoord.get(k)).filter(Boolean);
+    map.addSource(id, { type:'geojson', data: { type:'Feature', geometry:{ type:'LineString', coordinates: coords }, properties:{} } });
+    map.addLayer({ id:`${id}-layer`, type:'line', source:id,
+      paint:{ 'line-color': alt.color, 'line-width': 3, 'line-opacity': 0.85, 'line-dasharray': alt.dash } }, belowPois());
+  });
+}
+
+/** Make one option the current route: bold line, elevation profile, hint, list state. */
+function selectAlternative(id) {
+  const alt = routeAlternatives.find(a => a.id === id);
+  if (!alt) return;
+  selectedAltId = id;
+  urlState.alt = id === 'gentlest' ? null : id;
+  scheduleUrlHash();
+
+  const climb = showElevationProfile(drawPath(alt.path));
+  map.setPaintProperty('shortest-path-layer', 'line-color', alt.color);
+  routeAlternatives.forEach(a => {
+    map.setLayoutProperty(`route-alt-${a.id}-layer`, 'visibility', a.id === id ? 'none' : 'visible');
+  });
+
+  // Length + message (per-leg + total; warn about extreme or long distance)
+  const legs = alt.legs;
+  const totalM = legs.reduce((sum, leg) => sum + leg.meters, 0);
+  const usedExtreme = legs.some(leg => leg.usedExtreme);
+  let msg = alt.target
+    ? `Loop length: ${formatDistance(totalM)} (aiming for ${formatDistance(alt.target)})${climbText(climb)}`
+    : legs.length > 1
+    ? `${legs.map((leg, i) => `Leg ${i+1}: ${formatDistance(leg.meters)}`).join(' · ')} — Total: ${formatDistance(totalM)}${climbText(climb)}`
+    : `Route length: ${formatDistance(totalM)}${climbText(climb)}`;
+  msg += usedExtreme
+    ? ` — includes sections that are difficult for most users. `
+    : `. `;
+  const disliked = Object.entries(avoidedConditionMeters(alt.path));
+  if (disliked.length) {
+    msg += `Still includes ${disliked.map(([k, m]) => `${CONDITIONS[k].label} (${formatDistance(m)})`).join(', ')}. `;
+  }
+  if (alt.repeatM >= 1) msg += `${formatDistance(alt.repeatM)} is walked twice. `;
+  // A to B only: a loop just picks other paths
+  if (!alt.target && alt.closedWay === undefined) alt.closedWay = closedWayFor(alt.ids[0]);
+  const blocked = alt.closedWay;
+  drawClosedWay(blocked?.path || [], alt.path);
+  if (blocked) {
+    const extraM = alt.stats.meters - routeStats(blocked.path).meters;
+    msg += `Goes around ${blocked.closures.length === 1 ? 'a closure' : 'closures'}: ${closureNames(blocked.closures)}` +
+      (extraM >= 10 ? `; the detour adds ${formatDistance(extraM)}. ` : '. ');
+  }
+  if (totalM > ROUTE_WARN_M) msg += 'Consider a break or a shorter option.';
+  showRouteHint(routeAlternatives.length > 1 ? `${alt.name}: ${msg}` : msg);
+
+  renderAlternativeList();
+  renderDirections(alt);
+  renderRouteFacilities(alt);
+  showRouteSummary(alt, climb);
+}
+
+// Percentage of a route's length, rounded (0 for an empty route)
+const percentOf = (m, total) => total ? Math.round((m / total) * 100) : 0;
+
+// Toolbox list: one radio option per alternative with its trade-offs
+function renderAlternativeList() {
+  const box = document.getElementById('route-alternatives');
+  if (!box) return;
+  const pal = getTrailPalette();
+  box.innerHTML = '';
+  routeAlternatives.forEach(alt => {
+    const { meters, bands } = alt.stats;
+    const share = (k) => meters ? Math.round((bands[k] / meters) * 100) : 0;
+    const bandKeys = Object.keys(bands).filter(k => bands[k] > 0);
+    const item = document.createElement('label');
+    item.className = 'route-alt';
+    item.innerHTML = `
+      <input type="radio" name="route-alt" value="${alt.id}" ${alt.id === selectedAltId ? 'checked' : ''}>
+      <span class="route-alt-body">
+        <span class="route-alt-title">
+          <span class="route-alt-swatch" style="border-top-color:${alt.color}; border-top-style:${alt.dash[1] ? 'dashed' : 'solid'};" aria-hidden="true"></span>
+          <strong>${alt.name}</strong> · ${formatDistance(meters)}
+        </span>
+        <span class="band-bar" aria-hidden="true">
+          ${bandKeys.map(k => `<span style="width:${share(k)}%; background:${pal[k]};"></span>`).join('')}
+        </span>
+        <span class="route-alt-stats">${bandKeys.map(k => `${DIFFICULTY_LABELS[k]} ${share(k)}%`).join(' · ')}</span>
+        <span class="route-alt-stats">Sections with steps: ${alt.stats.steps} · vertigo: ${alt.stats.vertigo} · scrub: ${alt.stats.overgrowth}</span>
+        ${weatherMode ? `<span class="route-alt-stats">Exposed: ${formatDistance(alt.stats.exposedM)} (${percentOf(alt.stats.exposedM, meters)}%)</span>` : ''}
+      </span>`;
+    item.querySelector('input').addEventListener('change', () => selectAlternative(alt.id));
+    box.appendChild(item);
+  });
+  box.hidden = routeAlternatives.length === 0;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Loop generator: start → two turning points → start, where the turning
+// points sit on a triangle around the start scaled to the target length.
+// Several directions are tried; edges already walked cost extra on later
+// legs so loops only double back when nothing else connects.
 // ─────────────────────────────────────────────────────────────
-routingActive = false;
-let startNode = null, endNode = null;
-// const statusEl = document.getElementById('route-status'); // optional helper for inline status
+const LOOP_BEARINGS = 6;           // directions tried for the first turning point
+const LOOP_TURN_DEG = 60;          // angle between the two turning points (equilateral triangle)
+const LOOP_SNAP_M = 150;           // how far a turning point may move to reach a trail
+const LOOP_REUSE_PENALTY = 8;      // cost multiplier for edges the loop has already used
+const LOOP_LENGTH_TOLERANCE = 0.2; // loops within ±20% of the target are good enough
+const LOOP_MAX_OPTIONS = 3;
+
+const edgeIdOf = (v, w) => [v, w].sort().join('|'); // same ids as pathEdgeSet
+
+// Nearest graph vertex around a coordinate (turning points don't need edge splits)
+function vertexNear(coord) {
+  const hit = nearestEdgeTo(coord, LOOP_SNAP_M);
+  return hit ? (hit.t < 0.5 ? hit.seg.v : hit.seg.w) : null;
+}
 
-document.getElementById('start-routing').addEventListener('click', () => {
-  routingActive = true;
-  startNode = endNode = null;
-  clearRouteGraphics();
-  showRouteHint('Click a start point, then an end point.');
-});
+/** Solve start → vias… → start with reuse penalties; { path, usedExtreme } or null. */
+function solveLoopVia(start, vias) {
+  const used = new Set();
+  const extra = (e) => used.has(edgeIdOf(e.v, e.w)) ? LOOP_REUSE_PENALTY : 1;
+  const stops = [start, ...vias, start];
+  let path = [start], usedExtreme = false;
+  for (let i = 0; i < stops.length - 1; i++) {
+    const leg = solveLeg(stops[i], stops[i+1], 'gentlest', extra);
+    if (leg.error) return null;
+    for (let j = 0; j < leg.path.length - 1; j++) used.add(edgeIdOf(leg.path[j], leg.path[j+1]));
+    path = path.concat(leg.path.slice(1));
+    usedExtreme = usedExtreme || leg.usedExtreme;
+  }
+  return path.length > 2 ? { path, usedExtreme } : null;
+}
 
-document.getElementById('clear-routing').addEventListener('click', () => {
-  routingActive = false;
-  startNode = endNode = null;
-  clearRouteGraphics();
-  hideRouteHint();
+// Metres of a path on edges it has already walked
+function repeatedMeters(nodeKeys) {
+  const seen = new Set();
+  let m = 0;
+  for (let i = 0; i < nodeKeys.length - 1; i++) {
+    const id = edgeIdOf(nodeKeys[i], nodeKeys[i+1]);
+    if (seen.has(id)) m += pathLengthMeters([nodeKeys[i], nodeKeys[i+1]], nodeKeyToCoord);
+    seen.add(id);
+  }
+  return m;
+}
+
+function loopCandidates(start, target) {
+  const startC = nodeKeyToCoord.get(start);
+  const found = [];
+  for (let i = 0; i < LOOP_BEARINGS; i++) {
+    const bearing = i * 360 / LOOP_BEARINGS;
+    // Trails wind, so a triangle of straight sides ~target/4 walks out to roughly the target
+    let reach = target / 4;
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const vias = [bearing, bearing + LOOP_TURN_DEG]
+        .map(b => vertexNear(turf.destination(startC, reach / 1000, b, { units: 'kilometers' }).geometry.coordinates))
+        .filter(v => v && v !== start);
+      if (new Set(vias).size < 2) break;
+      const loop = solveLoopVia(start, vias);
+      if (!loop) break;
+      const meters = pathLengthMeters(loop.path, nodeKeyToCoord);
+      const repeatM = repeatedMeters(loop.path);
+      found.push({ ...loop, meters, repeatM, fit: Math.abs(meters - target) / target + repeatM / meters });
+      if (Math.abs(meters - target) / target <= LOOP_LENGTH_TOLERANCE) break;
+      reach *= target / meters; // rescale once towards the target
+    }
+  }
+  return found.sort((a, b) => a.fit - b.fit);
+}
+
+let loopRun = 0; // bumps on every request so a slower, older search can't overwrite a newer one
+
+/** Offer up to LOOP_MAX_OPTIONS distinct loops from the single waypoint. */
+function solveLoops() {
+  const start = waypoints[0], target = getLoopTargetM();
+  const run = ++loopRun;
+  // Dozens of Dijkstra runs take a moment: say so first, then search
+  showRouteHint(`Looking for loops of about ${formatDistance(target)}…`);
+  setTimeout(() => {
+    if (run !== loopRun || getRouteMode() !== 'loop' || waypoints[0] !== start) return;
+    showLoops(loopCandidates(start, target), target);
+  }, 50);
+}
+
+function showLoops(candidates, target) {
+  const alts = [];
+  candidates.forEach(c => {
+    if (alts.length >= LOOP_MAX_OPTIONS) return;
+    const edges = pathEdgeSet(c.path);
+    if (alts.some(a => overlapShare(a.edges, edges) > ALT_OVERLAP_MAX)) return;
+    const style = ROUTE_STRATEGIES[alts.length]; // borrow the option colours + dashes
+    alts.push({
+      id: `loop-${alts.length + 1}`, name: `Loop ${alts.length + 1}`, color: style.color, dash: style.dash,
+      ids: [`loop-${alts.length + 1}`], target, repeatM: c.repeatM,
+      legs: [{ path: c.path, usedExtreme: c.usedExtreme, meters: c.meters }],
+      path: c.path, edges, stats: routeStats(c.path)
+    });
+  });
+  if (!alts.length) {
+    showRouteHint('No loop found from here with current preferences. Try another start point or length.');
+    return;
+  }
+  routeAlternatives = alts;
+  drawAlternatives();
+  selectAlternative((alts.find(a => a.id === selectedAltId) || alts[0]).id);
+}
+
+// Switching type or length re-plans from the same start
+document.querySelectorAll('#toolbox input[name="route-mode"]').forEach(radio => {
+  radio.addEventListener('change', () => {
+    document.getElementById('loop-options').hidden = getRouteMode() !== 'loop';
+    if (getRouteMode() === 'loop') waypoints = waypoints.slice(0, 1);
+    renderWaypoints();
+    solveRoute();
+    if (routingActive && !waypoints.length) showRouteHint(selectionPrompt());
+  });
+});
+document.getElementById('loop-length')?.addEventListener('change', () => {
+  if (getRouteMode() === 'loop' && waypoints.length) solveRoute();
+});
+// Exposed ground costs more (or is ruled out) once the weather turns
+document.getElementById('weather-mode').addEventListener('change', () => {
+  if (waypoints.length) solveRoute();
 });
+// Likewise when a problem is reported or cleared
+routeActions.reroute = () => {
+  if (waypoints.length) solveRoute();
+};
 
 // ─────────────────────────────────────────────────────────────
-// Edge label helper
-// Returns a safe label if the edge is missing (treated as impassable)
+// Written directions: consecutive edges with similar attributes become
+// one step ("Continue 240 m on a gravel surface — gentle."). Steps are
+// keyboard-focusable; focusing one highlights that stretch on the map
 // ─────────────────────────────────────────────────────────────
-const labelOf = (e) => g.edge(e) || { cost: Infinity, score: 99, slope_class: 99, vertigo: 'no', surface_score: 99, natural: '' };
+const DIRECTION_MERGE_M = 15; // plain stretches shorter than this fold into the previous step
+
+// Lower-case difficulty wording per band
+const BAND_WORDS = {
+  easy: 'gentle',
+  moderate: 'moderate',
+  challenging: 'challenging',
+  extreme: 'not recommended for most users'
+};
 
-// ─────────────────────────────────────────────────────────────
-/* Weight function factory:
-   - Reads current UI prefs
-   - Enforces bans (difficulty, extreme on pass 1, steep, vertigo, uneven, overgrowth)
-   - Returns edge cost or Infinity (to remove edge from consideration)
-*/
-// ─────────────────────────────────────────────────────────────
-function makeWeightFn(avoidExtreme) {
-  const allowed = new Set(getCheckedDifficulties());
-  const showSteepSlopes = document.getElementById('pref-steep').checked;
-  const showVertigoRisk = document.getElementById('pref-vertigo').checked;
-  const showUnevenGround = document.getElementById('pref-uneven').checked;
-  const showOvergrowth   = document.getElementById('pref-overgrowth').checked;
+// Attributes a step is "about"; any change starts a new step
+function stepAttrs(lab) {
+  const { surface, landcover } = surfaceWording(trailPropsBySeg.get(lab.seg_id) || {});
+  const warnings = segmentWarnings(lab);
+  return {
+    surface, landcover,
+    band: scoreToDifficulty(lab.score),
+    steps: warnings.includes('steps'),
+    steep: warnings.includes('steep'),
+    climb: warnings.includes('steep') ? travelDirection(lab) : 'level', // 'up' / 'down' on steep ground
+    vertigo: warnings.includes('vertigo'),
+    overgrowth: warnings.includes('overgrowth'),
+    bumpy: warnings.includes('smoothness'),
+    faint: warnings.includes('visibility'),
+    exposed: warnings.includes('exposed')
+  };
+}
 
-  return (e) => {
-    const lab = labelOf(e); // { cost, score, slope_class, vertigo, surface_score, natural }
-    const diff = scoreToDifficulty(lab.score);
+const hasHazard = (a) => a.steps || a.steep || a.vertigo || a.overgrowth || a.bumpy || a.faint || a.exposed;
+
+function stepText(a, meters, first) {
+  const dist = formatDistance(meters);
+  let head = dist;
+  if (a.steps) head = `${dist} of steps`;
+  else if (a.surface) head = `${dist} on ${/^[aeiou]/.test(a.surface) ? 'an' : 'a'} ${a.surface} surface`;
+  if (a.landcover) head += ` through ${a.landcover}`;
+
+  const notes = [BAND_WORDS[a.band]];
+  if (a.steep) notes.push(a.climb === 'level' ? 'steep' : `steep ${a.climb}hill`);
+  if (a.vertigo) notes.push('exposed (vertigo risk)');
+  if (a.overgrowth) notes.push('overgrown (nettles/thorns)');
+  if (a.bumpy) notes.push('bumpy underfoot');
+  if (a.faint) notes.push('on a faint path (easy to lose)');
+  if (a.exposed) notes.push('open to wind and rain');
+  const noteText = notes.length > 1 ? `${notes.slice(0, -1).join(', ')} and ${notes[notes.length - 1]}` : notes[0];
+
+  return `${first ? 'Continue' : 'Then'} ${head} — ${noteText}.`;
+}
 
-    // Difficulty filter (must be allowed)
-    if (!allowed.has(diff)) return Infinity;
+/** Ordered steps for a route option: [{ text, coords }] (coords to highlight). */
+function buildDirections(alt) {
+  const out = [];
+  const n = waypoints.length;
+
+  alt.legs.forEach((leg, li) => {
+    // 1) Group consecutive edges with identical attributes
+    const groups = [];
+    for (let i = 0; i < leg.path.length - 1; i++) {
+      const v = leg.path[i], w = leg.path[i+1];
+      const lab = g.edge({ v, w }) || g.edge({ v: w, w: v });
+      if (!lab) continue;
+      const attrs = stepAttrs(lab);
+      const key = JSON.stringify(attrs);
+      const last = groups[groups.length - 1];
+      if (last && last.key === key) {
+        last.meters += lab.meters;
+        last.coords.push(nodeKeyToCoord.get(w));
+      } else {
+        groups.push({ key, attrs, meters: lab.meters, coords: [nodeKeyToCoord.get(v), nodeKeyToCoord.get(w)] });
+      }
+    }
 
-    // Pass 1: avoid extreme segments completely
-    if (avoidExtreme && diff === 'extreme') return Infinity;
+    // 2) Fold short hazard-free stretches into the step before (hazards always get their own step)
+    const merged = [];
+    groups.forEach(gr => {
+      const prev = merged[merged.length - 1];
+      if (prev && (prev.key === gr.key || (gr.meters < DIRECTION_MERGE_M && !hasHazard(gr.attrs)))) {
+        prev.meters += gr.meters;
+        prev.coords.push(...gr.coords.slice(1));
+      } else {
+        merged.push(gr);
+      }
+    });
 
-    // Preference bans
-    if (!showSteepSlopes && Number(lab.slope_class) >= 5) return Infinity;
-    if (!showVertigoRisk && lab.vertigo === 'yes') return Infinity;
-    if (!showUnevenGround && Number(lab.surface_score) === 4) return Infinity;
-    if (!showOvergrowth && lab.natural === 'scrub') return Infinity;
+    merged.forEach((gr, i) => out.push({ text: stepText(gr.attrs, gr.meters, i === 0), coords: gr.coords }));
 
-    // Otherwise use the accessibility-weighted cost
-    return lab.cost;
-  };
+    // 3) Arrival at the next waypoint (a loop, one leg, comes back to where it began)
+    const arriveKey = alt.target ? waypoints[0] : waypoints[li + 1];
+    const arriveName = alt.target ? 'the start' : waypointRole(li + 1, n).toLowerCase();
+    out.push({
+      text: `Arrive at ${arriveName} (Trail Section ${segIdAtNode(arriveKey) ?? '—'}).`,
+      coords: [nodeKeyToCoord.get(arriveKey)]
+    });
+  });
+  return out;
+}
+
+// Highlight one step on the map (a point for arrivals, a line otherwise)
+function highlightStep(coords) {
+  const geom = coords.length > 1 ? { type:'LineString', coordinates: coords } : { type:'Point', coordinates: coords[0] };
+  const data = { type:'Feature', geometry: geom, properties:{} };
+  ['route-step-line', 'route-step-point'].forEach(id => {
+    if (map.getLayer(`${id}-layer`)) map.removeLayer(`${id}-layer`);
+    if (map.getSource(id)) map.removeSource(id);
+  });
+  if (geom.type === 'LineString') {
+    map.addSource('route-step-line', { type:'geojson', data });
+    map.addLayer({ id:'route-step-line-layer', type:'line', source:'route-step-line',
+      layout:{ 'line-cap':'round' }, paint:{ 'line-color':'#ffd600', 'line-width':9, 'line-opacity':0.9 } }, belowPois());
+  } else {
+    map.addSource('route-step-point', { type:'geojson', data });
+    map.addLayer({ id:'route-step-point-layer', type:'circle', source:'route-step-point',
+      paint:{ 'circle-radius':10, 'circle-color':'#ffd600', 'circle-opacity':0.9 } });
+  }
+}
+
+function renderDirections(alt) {
+  const wrap = document.getElementById('route-directions');
+  const list = document.getElementById('route-steps');
+  if (!wrap || !list) return;
+  const steps = buildDirections(alt);
+  list.innerHTML = '';
+  steps.forEach(st => {
+    const li = document.createElement('li');
+    li.tabIndex = 0;
+    li.textContent = st.text;
+    li.addEventListener('focus', () => highlightStep(st.coords));
+    li.addEventListener('mouseenter', () => highlightStep(st.coords));
+    // Arrow keys move between steps (Tab still works too)
+    li.addEventListener('keydown', (e) => {
+      let target = null;
+      if (e.key === 'ArrowDown') target = li.nextElementSibling;
+      else if (e.key === 'ArrowUp') target = li.previousElementSibling;
+      else if (e.key === 'Home') target = list.firstElementChild;
+      else if (e.key === 'End') target = list.lastElementChild;
+      if (target) { target.focus(); e.preventDefault(); }
+    });
+    list.appendChild(li);
+  });
+  wrap.hidden = false;
+  document.getElementById('route-export').hidden = false;
+
+  // One-line summary for screen readers, pointing at the full list
+  const statusEl = document.getElementById('route-status');
+  if (statusEl) {
+    statusEl.textContent = `${alt.name} route: ${formatDistance(alt.stats.meters)} in ${steps.length} steps. Directions are listed below.`;
+  }
 }
 
 // ─────────────────────────────────────────────────────────────
-// Inspect path edges to see if any are "extreme" (score >= EXTREME_MIN)
-// Used to decide which advisory message to show
+// Route export: GPX (track + start/end/hazard waypoints),
+// GeoJSON (one feature per edge with its graph label) and KML
 // ─────────────────────────────────────────────────────────────
-function hasExtremeOnPath(nodeKeys){
-  for (let i = 0; i < nodeKeys.length - 1; i++){
+
+/** The route option currently shown (or null). */
+function currentAlternative() {
+  return routeAlternatives.find(a => a.id === selectedAltId) || null;
+}
+
+/**
+ * Hazard points along a route: one per warning per continuous stretch,
+ * placed where the stretch begins. [{ kind, label, coord, seg_id }]
+ */
+function routeHazards(nodeKeys) {
+  const out = [];
+  let active = new Set(); // warnings on the previous edge
+  for (let i = 0; i < nodeKeys.length - 1; i++) {
     const v = nodeKeys[i], w = nodeKeys[i+1];
     const lab = g.edge({ v, w }) || g.edge({ v: w, w: v });
-    if (lab && lab.score >= EXTREME_MIN) return true;
+    const now = new Set(lab ? segmentWarnings(lab) : []);
+    now.forEach(kind => {
+      if (!active.has(kind)) out.push({ kind, label: WARNING_LABELS[kind], coord: nodeKeyToCoord.get(v), seg_id: lab.seg_id });
+    });
+    active = now;
   }
-  return false;
+  return out;
 }
-  
-  
-  
-  
-  
-  
-  
-  
+
+/** Start, stops and end as named points. */
+function routeWaypointPoints() {
+  return waypoints.map((k, i) => ({
+    kind: i === 0 ? 'start' : (i === waypoints.length - 1 ? 'end' : 'stop'),
+    label: waypointRole(i, waypoints.length),
+    coord: nodeKeyToCoord.get(k),
+    seg_id: segIdAtNode(k)
+  }));
+}
+
+function routeTitle(alt) {
+  return `Holyrood Park route (${alt.name}, ${formatDistance(alt.stats.meters)})`;
+}
+
+function routeToGpx(alt) {
+  const coords = alt.path.map(k => nodeKeyToCoord.get(k));
+  // Heights from contour crossings, if loaded (GPS apps show them as a profile)
+  const samples = HolyroodElevation.routeElevationSamples(contours, coords);
+  let travelled = 0;
+  const trkpts = coords.map((c, i) => {
+    if (i > 0) travelled += turf.distance(coords[i-1], c, { units: 'meters' });
+    const ele = HolyroodElevation.elevationAtDistance(samples, travelled);
+    return `      <trkpt lat="${c[1]}" lon="${c[0]}">${ele !== null ? `<ele>${ele.toFixed(1)}</ele>` : ''}</trkpt>`;
+  });
+  const wpt = (pt) => `  <wpt lat="${pt.coord[1]}" lon="${pt.coord[0]}">
+    <name>${escapeHtml(pt.label)}</name>
+    <desc>${escapeHtml(`Trail Section ${pt.seg_id ?? '—'}`)}</desc>
+    <type>${pt.kind}</type>
+  </wpt>`;
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Holyrood Accessibility Map" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata>
+    <name>${escapeHtml(routeTitle(alt))}</name>
+    <time>${new Date().toISOString()}</time>
+  </metadata>
+${[...routeWaypointPoints(), ...routeHazards(alt.path)].map(wpt).join('\n')}
+  <trk>
+    <name>${escapeHtml(routeTitle(alt))}</name>
+    <trkseg>
+${trkpts.join('\n')}
+    </trkseg>
+  </trk>
+</gpx>
+`;
+}
+
+function routeToGeoJSON(alt) {
+  const features = [];
+  alt.legs.forEach((leg, li) => {
+    for (let i = 0; i < leg.path.length - 1; i++) {
+      const v = leg.path[i], w = leg.path[i+1];
+      const lab = g.edge({ v, w }) || g.edge({ v: w, w: v });
+      if (!lab) continue;
+      const { cost, ...attrs } = lab; // cost is internal to the solver
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates: [nodeKeyToCoord.get(v), nodeKeyToCoord.get(w)] },
+        properties: { leg: li + 1, difficulty: scoreToDifficulty(lab.score), warnings: segmentWarnings(lab), ...attrs }
+      });
+    }
+  });
+  [...routeWaypointPoints(), ...routeHazards(alt.path)].forEach(pt => {
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: pt.coord },
+      properties: { kind: pt.kind, name: pt.label, seg_id: pt.seg_id }
+    });
+  });
+  return JSON.stringify({ type: 'FeatureCollection', name: routeTitle(alt), features }, null, 2);
+}
+
+function routeToKml(alt) {
+  const coordStr = alt.path.map(k => nodeKeyToCoord.get(k).join(',')).join(' ');
+  const placemark = (pt) => `    <Placemark>
+      <name>${escapeHtml(pt.label)}</name>
+      <description>${escapeHtml(`Trail Section ${pt.seg_id ?? '—'}`)}</description>
+      <styleUrl>#${pt.kind === 'start' || pt.kind === 'end' || pt.kind === 'stop' ? 'waypoint' : 'hazard'}</styleUrl>
+      <Point><coordinates>${pt.coord.join(',')}</coordinates></Point>
+    </Placemark>`;
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeHtml(routeTitle(alt))}</name>
+    <Style id="route"><LineStyle><color>ffff901e</color><width>4</width></LineStyle></Style>
+    <Style id="waypoint"><IconStyle><color>ff327d2e</color></IconStyle></Style>
+    <Style id="hazard"><IconStyle><color>ff00ccff</color></IconStyle></Style>
+    <Placemark>
+      <name>${escapeHtml(routeTitle(alt))}</name>
+      <styleUrl>#route</styleUrl>
+      <LineString><tessellate>1</tessellate><coordinates>${coordStr}</coordinates></LineString>
+    </Placemark>
+${[...routeWaypointPoints(), ...routeHazards(alt.path)].map(placemark).join('\n')}
+  </Document>
+</kml>
+`;
+}
+
+const EXPORT_FORMATS = {
+  gpx:     { ext: 'gpx',     mime: 'application/gpx+xml',                  build: routeToGpx },
+  geojson: { ext: 'geojson', mime: 'application/geo+json',                 build: routeToGeoJSON },
+  kml:     { ext: 'kml',     mime: 'application/vnd.google-earth.kml+xml', build: routeToKml }
+};
+
+document.getElementById('export-route')?.addEventListener('click', () => {
+  const alt = currentAlternative();
+  if (!alt) return;
+  const fmt = EXPORT_FORMATS[document.getElementById('export-format').value] || EXPORT_FORMATS.gpx;
+  downloadText(`holyrood-route-${alt.id}.${fmt.ext}`, fmt.build(alt), fmt.mime);
+});
+
+function hideDirections() {
+  const wrap = document.getElementById('route-directions');
+  if (wrap) { wrap.hidden = true; document.getElementById('route-steps').innerHTML = ''; }
+  const exportBox = document.getElementById('route-export');
+  if (exportBox) exportBox.hidden = true;
+  const facilitiesBox = document.getElementById('route-facilities');
+  if (facilitiesBox) facilitiesBox.hidden = true;
+  const statusEl = document.getElementById('route-status');
+  if (statusEl) statusEl.textContent = ROUTE_STATUS_DEFAULT;
+}
+
 // ─────────────────────────────────────────────────────────────
-// Map click handler for routing (start → end → restart cycle)
+// Route summary (info panel): difficulty breakdown, warning counts and
+// every trail section on the route, in walking order, with its warning
+// cards. Each section links to its normal info panel.
 // ─────────────────────────────────────────────────────────────
-map.on('click', (e) => {
-  if (!routingActive) return; // only active when user pressed "Start Routing"
 
-  const node = nearestNodeTo(e.lngLat.lng, e.lngLat.lat);
-  if (!node) return;
+/** Consecutive edges of a path grouped into trail sections. */
+function routeSections(nodeKeys) {
+  const sections = [];
+  pathEdgeLabels(nodeKeys).forEach(lab => {
+    const last = sections[sections.length - 1];
+    if (last && last.seg_id === lab.seg_id) {
+      last.meters += lab.meters;
+      segmentWarnings(lab).forEach(w => last.warnings.add(w));
+      return;
+    }
+    sections.push({ seg_id: lab.seg_id, meters: lab.meters, difficulty: scoreToDifficulty(lab.score), warnings: new Set(segmentWarnings(lab)) });
+  });
+  return sections;
+}
 
-  const markerPal = cbMode ? palettes.cb : palettes.normal;
+function showRouteSummary(alt, climb) {
+  const pal = getTrailPalette();
+  const { meters, bands, exposedM } = alt.stats;
+  const share = (m) => percentOf(m, meters);
+  const bandKeys = difficultyOrder.filter(k => bands[k] > 0);
+  const hardest = bandKeys[bandKeys.length - 1] || '';
+  const sections = routeSections(alt.path);
+  const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
 
-  // First click → START node
-  if (!startNode) {
-    startNode = node;
-    clearRouteGraphics(); // wipe any old routes
-    addMarker('start', nodeKeyToCoord.get(startNode), markerPal.markerStart);
-    showRouteHint('Now click an end point.');
-    return;
+  const headerHtml = `
+    <div class="popup-header" style="text-align:center;">
+      <div style="font-weight:700; font-size:20px; margin-bottom:10px;">
+        Route summary
+      </div>
+      ${routeAlternatives.length > 1 ? `<div style="font-size:12px;">${alt.name}</div>` : ''}
+    </div>
+  `;
+
+  let bodyHtml = `
+    <div class="popup-body route-summary" style="margin-top:8px;">
+      <p style="margin:0 0 6px 0;">This route is ${formatDistance(meters)} long${climbText(climb)} and uses ${plural(sections.length, 'trail section')}.</p>
+      <span class="band-bar" aria-hidden="true">
+        ${bandKeys.map(k => `<span style="width:${share(bands[k])}%; background:${pal[k]};"></span>`).join('')}
+      </span>
+      <ul class="track-bands">
+        ${bandKeys.map(k => `<li>${DIFFICULTY_LABELS[k]}: ${formatDistance(bands[k])} (${share(bands[k])}%)</li>`).join('')}
+      </ul>
+      ${weatherMode ? `<p style="margin:0 0 6px 0;">Exposed to wind and rain: ${formatDistance(exposedM)} (${share(exposedM)}% of the route).</p>` : ''}
+      <ul class="route-warning-counts">
+        ${Object.keys(WARNING_LABELS).filter(k => k !== 'exposed' || weatherMode).map(k => `<li>${WARNING_LABELS[k]}: ${plural(alt.stats[k], 'section')}</li>`).join('')}
+      </ul>
+      <h4 id="route-sections-title" class="route-sections-title">Sections in walking order</h4>
+      <ol class="route-sections" aria-labelledby="route-sections-title">
+  `;
+  sections.forEach(sec => {
+    const name = sec.seg_id == null ? 'Unnamed path' : `Trail Section ${sec.seg_id}`;
+    bodyHtml += `
+      <li>
+        ${sec.seg_id == null ? `<b>${name}</b>` : `<button type="button" class="link-button" data-seg="${sec.seg_id}">${name}</button>`}
+        — ${formatDistance(sec.meters)}, ${DIFFICULTY_LABELS[sec.difficulty].toLowerCase()}
+        ${[...sec.warnings].map(w => warningCard(WARNING_LABELS[w], WARNING_TEXTS[w])).join('')}
+      </li>
+    `;
+  });
+  bodyHtml += `</ol></div>`;
+
+  showInfoPanel(`${headerHtml}${bodyHtml}`, popupBgFor(hardest));
+  document.querySelectorAll('#info-panel .route-sections button[data-seg]').forEach(btn => {
+    btn.addEventListener('click', () => focusSection(Number(btn.dataset.seg)));
+  });
+}
+
+// Only close the panel if it is still showing this summary (not a section opened from it)
+function hideRouteSummary() {
+  const panel = document.getElementById('info-panel');
+  if (panel && panel.querySelector('.route-summary')) panel.hidden = true;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Recorded walks: import a GPX/GeoJSON track, map-match it onto the
+// routing graph and report difficulty + hazards like the info panel.
+// Parts further than MATCH_TOLERANCE_M from any edge count as off-trail.
+// ─────────────────────────────────────────────────────────────
+const MATCH_TOLERANCE_M = 25; // GPS error we accept before calling a point off-trail
+const TRACK_SAMPLE_M = 10;    // resample spacing along the recorded track
+const UNMATCHED_MIN_M = 30;   // shorter off-trail blips are treated as GPS noise
+
+/** Lines ([[lng,lat],…] per track segment) from GPX or GeoJSON text. Throws on unreadable files. */
+function parseTrack(fileName, text) {
+  if (/\.gpx$/i.test(fileName) || /^\s*</.test(text)) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.querySelector('parsererror')) throw new Error('This GPX file could not be read.');
+    const ptsOf = (parent, tag) => [...parent.getElementsByTagName(tag)]
+      .map(pt => [Number(pt.getAttribute('lon')), Number(pt.getAttribute('lat'))])
+      .filter(c => Number.isFinite(c[0]) && Number.isFinite(c[1]));
+    const lines = [...doc.getElementsByTagName('trkseg')].map(seg => ptsOf(seg, 'trkpt'));
+    // Planned routes (rte) are accepted too when there is no recorded track
+    if (!lines.some(l => l.length > 1)) [...doc.getElementsByTagName('rte')].forEach(r => lines.push(ptsOf(r, 'rtept')));
+    return lines.filter(l => l.length > 1);
   }
+  const gj = JSON.parse(text);
+  const lines = [];
+  const addGeom = (geom) => {
+    if (!geom) return;
+    if (geom.type === 'LineString') lines.push(geom.coordinates);
+    else if (geom.type === 'MultiLineString') lines.push(...geom.coordinates);
+    else if (geom.type === 'GeometryCollection') geom.geometries.forEach(addGeom);
+  };
+  if (gj.type === 'FeatureCollection') gj.features.forEach(f => addGeom(f.geometry));
+  else if (gj.type === 'Feature') addGeom(gj.geometry);
+  else addGeom(gj);
+  return lines.map(l => l.map(c => [c[0], c[1]])).filter(l => l.length > 1);
+}
 
-  // Second click → END node, then solve
-  if (!endNode) {
-    endNode = node;
-    addMarker('end', nodeKeyToCoord.get(endNode), markerPal.markerEnd);
+/** Evenly spaced samples along each line: [{ coord, meters, line }] (meters = length each sample stands for). */
+function sampleTrack(lines) {
+  const samples = [];
+  lines.forEach((line, li) => {
+    for (let i = 0; i < line.length - 1; i++) {
+      const a = line[i], b = line[i+1];
+      const segM = turf.distance(a, b, { units: 'meters' });
+      const n = Math.max(1, Math.ceil(segM / TRACK_SAMPLE_M));
+      for (let j = 0; j < n; j++) {
+        const t = j / n;
+        samples.push({ coord: [a[0] + (b[0]-a[0])*t, a[1] + (b[1]-a[1])*t], meters: segM / n, line: li });
+      }
+    }
+    samples.push({ coord: line[line.length - 1], meters: 0, line: li });
+  });
+  return samples;
+}
+
+/**
+ * Match every sample to its nearest edge and summarise:
+ * metres per band, hazard stretches per warning, and off-trail stretches (as lines).
+ */
+function matchTrack(lines) {
+  const samples = sampleTrack(lines);
+  samples.forEach(smp => {
+    const hit = nearestEdgeTo(smp.coord, MATCH_TOLERANCE_M);
+    smp.lab = hit ? (g.edge({ v: hit.seg.v, w: hit.seg.w }) || g.edge({ v: hit.seg.w, w: hit.seg.v })) : null;
+  });
 
-    // Check connectivity (skip if nodes are in different components)
-    if (compIdx(startNode) !== compIdx(endNode)) {
-      showRouteHint('No path: start/end are disconnected.');
+  const bands = { easy: 0, moderate: 0, challenging: 0, extreme: 0 };
+  const hazards = {}; // warning → [{ meters, segIds:Set }]
+  const offTrail = []; // [{ meters, coords }]
+  let totalM = 0, matchedM = 0;
+  let active = {};     // warning → current stretch
+  let off = null;
+
+  samples.forEach((smp, i) => {
+    const newLine = i > 0 && samples[i-1].line !== smp.line;
+    if (newLine) { active = {}; off = null; }
+    totalM += smp.meters;
+
+    if (!smp.lab) {
+      if (!off) { off = { meters: 0, coords: i > 0 && !newLine ? [samples[i-1].coord] : [] }; offTrail.push(off); }
+      off.meters += smp.meters;
+      off.coords.push(smp.coord);
+      active = {};
       return;
     }
+    if (off) off.coords.push(smp.coord); // close the gap back onto the trail
+    off = null;
+
+    matchedM += smp.meters;
+    bands[scoreToDifficulty(smp.lab.score)] += smp.meters;
+    const now = {};
+    segmentWarnings(smp.lab).forEach(kind => {
+      now[kind] = active[kind] || { meters: 0, segIds: new Set() };
+      if (!active[kind]) (hazards[kind] = hazards[kind] || []).push(now[kind]);
+      now[kind].meters += smp.meters;
+      now[kind].segIds.add(smp.lab.seg_id);
+    });
+    active = now;
+  });
+
+  return {
+    totalM, matchedM, bands, hazards,
+    offTrail: offTrail.filter(o => o.meters >= UNMATCHED_MIN_M && o.coords.length > 1)
+  };
+}
 
-    // PASS 1: avoid extreme segments
-    let res = graphlib.alg.dijkstra(
-      g, startNode, makeWeightFn(true), v => g.nodeEdges(v)
-    );
-    let endInfo = res[endNode];
+const TRACK_LAYERS = ['track-line', 'track-offtrail'];
 
-    if (!endInfo || !isFinite(endInfo.distance)) {
-      // Only attempt PASS 2 if "extreme" difficulty is allowed
-      const allowed = new Set(getCheckedDifficulties());
-      const extremeAllowed = allowed.has('extreme');
+function clearTrack() {
+  TRACK_LAYERS.forEach(base => {
+    if (map.getLayer(`${base}-layer`)) map.removeLayer(`${base}-layer`);
+    if (map.getSource(base)) map.removeSource(base);
+  });
+}
 
-      if (!extremeAllowed) {
-        showRouteHint('No route with current preferences.');
-        return;
-      }
+// Recorded line in dark grey; off-trail parts over it in thick magenta (clear in both palettes)
+function drawTrack(lines, report) {
+  clearTrack();
+  map.addSource('track-line', { type:'geojson', data: { type:'Feature', geometry:{ type:'MultiLineString', coordinates: lines }, properties:{} } });
+  map.addLayer({ id:'track-line-layer', type:'line', source:'track-line',
+    paint:{ 'line-color':'#333333', 'line-width':2, 'line-dasharray':[2, 1] } }, belowPois());
+  map.addSource('track-offtrail', { type:'geojson', data: { type:'FeatureCollection',
+    features: report.offTrail.map(o => ({ type:'Feature', geometry:{ type:'LineString', coordinates: o.coords }, properties:{ meters: o.meters } })) } });
+  map.addLayer({ id:'track-offtrail-layer', type:'line', source:'track-offtrail',
+    paint:{ 'line-color':'#d500f9', 'line-width':6, 'line-opacity':0.8 } }, belowPois());
+
+  const bbox = turf.bbox({ type:'MultiLineString', coordinates: lines });
+  map.fitBounds([[bbox[0], bbox[1]], [bbox[2], bbox[3]]], { padding: 60 });
+}
 
-      // PASS 2: allow extreme sections, but still respect other bans
-      res = graphlib.alg.dijkstra(
-        g, startNode, makeWeightFn(false), v => g.nodeEdges(v)
-      );
-      endInfo = res[endNode];
+const HAZARD_REPORT_TEXT = {
+  vertigo:    'exposed, high ground',
+  steep:      'steep slopes',
+  uneven:     'rough or bumpy ground',
+  steps:      'steps',
+  overgrowth: 'possible nettles or thorns',
+  smoothness: 'broken or rutted surfaces',
+  visibility: 'faint paths',
+  exposed:    'ground exposed to wind and rain'
+};
 
-      if (!endInfo || !isFinite(endInfo.distance)) {
-        showRouteHint('No path found.');
-        return;
-      }
+function sectionList(ids) {
+  const list = [...ids].filter(id => id !== null && id !== undefined);
+  return list.length ? ` (Trail Section${list.length > 1 ? 's' : ''} ${list.join(', ')})` : '';
+}
+
+// Info-panel style report: header + difficulty breakdown + warning cards
+function showTrackReport(fileName, report) {
+  const pal = getTrailPalette();
+  const { totalM, matchedM, bands, hazards, offTrail } = report;
+  const hardest = [...difficultyOrder].reverse().find(k => bands[k] > 0) || '';
+  const share = (m) => matchedM ? Math.round((m / matchedM) * 100) : 0;
+  const bandKeys = difficultyOrder.filter(k => bands[k] > 0);
+  const matchedShare = totalM ? Math.round((matchedM / totalM) * 100) : 0;
+
+  const headerHtml = `
+    <div class="popup-header" style="text-align:center;">
+      <div style="font-weight:700; font-size:20px; margin-bottom:10px;">
+        Recorded walk
+      </div>
+      <div style="font-size:12px;">${escapeHtml(fileName)}</div>
+    </div>
+  `;
+
+  let bodyHtml = `
+    <div class="popup-body" style="margin-top:8px;">
+      <p style="margin:0 0 6px 0;">This walk is ${formatDistance(totalM)} long. ${formatDistance(matchedM)} (${matchedShare}%) follows mapped trails${hardest ? `, and the hardest parts are <b>${DIFFICULTY_LABELS[hardest].toLowerCase()}</b>` : ''}.</p>
+      <span class="band-bar" aria-hidden="true">
+        ${bandKeys.map(k => `<span style="width:${share(bands[k])}%; background:${pal[k]};"></span>`).join('')}
+      </span>
+      <ul class="track-bands">
+        ${bandKeys.map(k => `<li>${DIFFICULTY_LABELS[k]}: ${formatDistance(bands[k])} (${share(bands[k])}%)</li>`).join('')}
+      </ul>
+  `;
+  Object.keys(WARNING_LABELS).forEach(kind => {
+    const stretches = hazards[kind];
+    if (!stretches) return;
+    const meters = stretches.reduce((sum, st) => sum + st.meters, 0);
+    const ids = new Set(stretches.flatMap(st => [...st.segIds]));
+    const times = stretches.length === 1 ? 'once' : `${stretches.length} times`;
+    bodyHtml += warningCard(WARNING_LABELS[kind], `Crosses ${HAZARD_REPORT_TEXT[kind]} ${times}, ${formatDistance(meters)} in total${sectionList(ids)}.`);
+  });
+  if (offTrail.length) {
+    const meters = offTrail.reduce((sum, o) => sum + o.meters, 0);
+    bodyHtml += warningCard('Off the mapped trails', `${formatDistance(meters)} in ${offTrail.length} place${offTrail.length > 1 ? 's' : ''} does not follow any trail we have surveyed (highlighted in pink on the map).`);
+  }
+  bodyHtml += `</div>`;
+
+  showInfoPanel(`${headerHtml}${bodyHtml}`, popupBgFor(hardest));
+}
+
+const trackStatus = document.getElementById('track-status');
+const TRACK_STATUS_DEFAULT = trackStatus ? trackStatus.textContent : '';
+
+document.getElementById('track-file')?.addEventListener('change', (e) => {
+  const file = e.target.files && e.target.files[0];
+  if (!file) return;
+  trackStatus.textContent = `Checking ${file.name}…`;
+  file.text()
+    .then(text => {
+      const lines = parseTrack(file.name, text);
+      if (!lines.length) throw new Error('No track or route was found in this file.');
+      const report = matchTrack(lines);
+      drawTrack(lines, report);
+      showTrackReport(file.name, report);
+      trackStatus.textContent = `${file.name}: ${formatDistance(report.totalM)}, ${formatDistance(report.matchedM)} on mapped trails. Report shown in the information panel.`;
+    })
+    .catch(err => {
+      clearTrack();
+      trackStatus.textContent = err instanceof SyntaxError ? 'This file is not valid GPX or GeoJSON.' : err.message;
+    });
+});
+
+document.getElementById('clear-track')?.addEventListener('click', () => {
+  clearTrack();
+  document.getElementById('track-file').value = '';
+  trackStatus.textContent = TRACK_STATUS_DEFAULT;
+});
 
-      const path2 = backtrack(res, startNode, endNode);
-      drawPath(path2);
+// ─────────────────────────────────────────────────────────────
+// Reachability overlay: every edge reachable from a point within a
+// distance or effort budget, under the same rules as routing
+// (makeWeightFn: difficulty, bans, "avoid" penalties). Effort is the
+// routing cost scaled so a metre of gentle path (score 3) costs 1.
+// Partly reachable edges are cut where the budget runs out.
+// ─────────────────────────────────────────────────────────────
+const REACH_COLOUR = '#00b8d4';
+const REACH_EFFORT_SCORE = 3; // highest 'easy' score: effort metres = metres on paths like this
+let reachOrigin = null;  // node key
+
+const reachStatus = document.getElementById('reach-status');
+const REACH_STATUS_DEFAULT = reachStatus ? reachStatus.textContent : '';
+
+// Budget is spent per edge as metres ('distance') or routing cost ('effort')
+function reachWeightFn(mode) {
+  const rules = makeWeightFn(false, 'gentlest'); // extreme only if the checkbox allows it
+  if (mode === 'effort') return (e) => rules(e) / (REACH_EFFORT_SCORE * REACH_EFFORT_SCORE);
+  return (e) => isFinite(rules(e)) ? labelOf(e).meters : Infinity;
+}
 
-      // Length + message (warn about extreme or long distance)
-      const lenM2 = pathLengthMeters(path2, nodeKeyToCoord);
-      const usedExtreme = hasExtremeOnPath(path2);
-      let msg2 = `Route length: ${formatDistance(lenM2)}`;
-      msg2 += usedExtreme 
-        ? ` — includes sections that are difficult for most users. `
-        : `. `;
-      if (lenM2 > ROUTE_WARN_M) msg2 += 'Consider rest or a shorter option.';
-      showRouteHint(msg2);
+// Part of an edge from `from` towards `to` (fraction 0–1), as coordinates
+function edgePiece(from, to, fraction) {
+  const a = nodeKeyToCoord.get(from), b = nodeKeyToCoord.get(to);
+  return [a, [a[0] + (b[0]-a[0])*fraction, a[1] + (b[1]-a[1])*fraction]];
+}
 
-      return; // END of PASS 2
+/** Lines reachable within budget from origin, plus reachable and total network metres. */
+function reachableEdges(origin, budget, mode) {
+  const weight = reachWeightFn(mode);
+  const res = graphlib.alg.dijkstra(g, origin, weight, v => g.outEdges(v));
+  const lines = [];
+  let reachM = 0, totalM = 0;
+  pairEdges().forEach(e => {
+    const lab = labelOf(e);
+    totalM += lab.meters;
+    // Each end is entered with its own (uphill or downhill) weight
+    const ends = [[e.v, e.w], [e.w, e.v]].map(([from, to]) => ({
+      from, to, d: res[from]?.distance ?? Infinity, we: weight({ v: from, w: to })
+    })).filter(end => isFinite(end.we));
+    if (ends.some(end => end.d + end.we <= budget)) {
+      lines.push(edgePiece(e.v, e.w, 1));
+      reachM += lab.meters;
+      return;
     }
+    // Budget runs out part-way: draw what can be reached from each end. The two
+    // pieces can overlap in the middle, so together they count for at most the edge
+    let reached = 0;
+    ends.forEach(({ from, to, d, we }) => {
+      if (d >= budget) return;
+      const fraction = we ? (budget - d) / we : 1;
+      lines.push(edgePiece(from, to, fraction));
+      reached += fraction;
+    });
+    reachM += lab.meters * Math.min(1, reached);
+  });
+  return { lines, reachM, totalM };
+}
+
+function clearReach() {
+  ['reach', 'reach-origin'].forEach(base => {
+    if (map.getLayer(`${base}-layer`)) map.removeLayer(`${base}-layer`);
+    if (map.getSource(base)) map.removeSource(base);
+  });
+  fadeTrails('reach', false);
+}
+
+function updateReach() {
+  if (!reachOrigin) return;
+  const mode = document.getElementById('reach-mode').value;
+  const budget = Number(document.getElementById('reach-budget').value) || 0;
+  const { lines, reachM, totalM } = reachableEdges(reachOrigin, budget, mode);
+
+  clearReach();
+  fadeTrails('reach', true);
+  map.addSource('reach', { type:'geojson', data: { type:'Feature', geometry:{ type:'MultiLineString', coordinates: lines }, properties:{} } });
+  map.addLayer({ id:'reach-layer', type:'line', source:'reach',
+    layout:{ 'line-cap':'round' },
+    paint:{ 'line-color': REACH_COLOUR, 'line-width': 5, 'line-opacity': 0.9 } }, belowPois());
+  map.addSource('reach-origin', { type:'geojson', data: { type:'Feature', geometry:{ type:'Point', coordinates: nodeKeyToCoord.get(reachOrigin) }, properties:{} } });
+  map.addLayer({ id:'reach-origin-layer', type:'circle', source:'reach-origin',
+    paint:{ 'circle-radius': 7, 'circle-color': REACH_COLOUR, 'circle-stroke-color': '#ffffff', 'circle-stroke-width': 2 } });
+
+  const share = totalM ? Math.round((reachM / totalM) * 100) : 0;
+  const within = mode === 'effort' ? `the effort of ${formatDistance(budget)} on gentle paths` : formatDistance(budget);
+  reachStatus.textContent = reachM > 0
+    ? `About ${formatDistance(reachM)} of trail (${share}% of the park's network) can be reached within ${within} from Trail Section ${segIdAtNode(reachOrigin) ?? '—'}.`
+    : 'No trails can be reached from here with the current preferences.';
+}
+
+document.getElementById('reach-pick')?.addEventListener('click', () => {
+  routingActive = false; // one selection mode at a time
+  reachPicking = true;
+  map.getCanvas().style.cursor = 'crosshair';
+  reachStatus.textContent = 'Click a point on the map, such as an entrance or bus stop.';
+});
+
+document.getElementById('reach-clear')?.addEventListener('click', () => {
+  reachPicking = false;
+  reachOrigin = null;
+  map.getCanvas().style.cursor = '';
+  clearReach();
+  reachStatus.textContent = REACH_STATUS_DEFAULT;
+});
+
+document.getElementById('start-routing').addEventListener('click', () => { reachPicking = false; });
+
+// Budget, measure, filters and profile all change what is reachable
+document.getElementById('toolbox').addEventListener('change', () => { if (reachOrigin) updateReach(); });
+
+map.on('click', (e) => {
+  if (!reachPicking) return;
+  const node = snapToTrail(e.lngLat.lng, e.lngLat.lat);
+  if (!node) { reachStatus.textContent = SNAP_TOO_FAR_MSG; return; }
+  reachPicking = false;
+  map.getCanvas().style.cursor = '';
+  reachOrigin = node;
+  updateReach();
+});
+
+// ─────────────────────────────────────────────────────────────
+// From/To comboboxes: pick the start and end from named places or by
+// trail section number, without touching the map. Choices feed the
+// same waypoints + solver as map clicks (as do POI panel buttons).
+// ─────────────────────────────────────────────────────────────
+const PLACE_SNAP_M = 150;      // places (e.g. car parks) may sit a little off the trail network
+const PLACE_MAX_OPTIONS = 8;
+const placeNames = new Map();  // node key → name shown in the waypoint list
+let places = [];
+let pendingEnd = null;         // "To" chosen before "From"
+
+// Nodes along each trail section (the middle one stands for the section)
+const segNodes = new Map();
+pairEdges().forEach(e => {
+  const id = labelOf(e).seg_id;
+  if (id === null || id === undefined) return;
+  if (!segNodes.has(id)) segNodes.set(id, []);
+  segNodes.get(id).push(e.v);
+});
 
-    // PASS 1 succeeded (no extreme used)
-    const path1 = backtrack(res, startNode, endNode);
-    drawPath(path1);
+Promise.all([gazetteerReady, poisReady]).then(([landmarks, pois]) => { places = [...landmarks, ...pois]; });
+
+const placeStatus = document.getElementById('place-status');
+const announcePlace = (msg) => { if (placeStatus) placeStatus.textContent = msg; };
+
+function searchPlaces(text) {
+  const q = text.trim().toLowerCase();
+  const named = places
+    .filter(p => !q || p.name.toLowerCase().includes(q) || (PLACE_KIND_LABELS[p.kind] || '').toLowerCase().includes(q))
+    .map(p => ({ label: p.name, detail: PLACE_KIND_LABELS[p.kind] || '', node: () => snapToTrail(p.coord[0], p.coord[1], PLACE_SNAP_M) }));
+  // "12", "section 12", "trail section 12" → sections whose number starts with 12
+  const num = (q.match(/^(?:(?:trail\s+)?section\s*)?(\d+)$/) || [])[1];
+  const sections = num
+    ? [...segNodes.keys()].filter(id => String(id).startsWith(num)).sort((a, b) => a - b)
+        .map(id => {
+          const nodes = segNodes.get(id);
+          return { label: `Trail Section ${id}`, detail: 'Trail section', node: () => nodes[Math.floor(nodes.length / 2)] };
+        })
+    : [];
+  return [...sections, ...named].slice(0, PLACE_MAX_OPTIONS);
+}
 
-    const lenM1 = pathLengthMeters(path1, nodeKeyToCoord);
-    let msg1 = `Route length: ${formatDistance(lenM1)}. `;
-    if (lenM1 > ROUTE_WARN_M) msg1 += 'Consider a break or a shorter option.';
-    showRouteHint(msg1);
+/** @param {'start'|'stop'|'end'} which */
+function choosePlace(which, opt) {
+  const node = opt.node();
+  if (!node) {
+    announcePlace(`${opt.label} is more than ${PLACE_SNAP_M} m from any mapped trail.`);
+    showRouteHint(`${opt.label} is more than ${PLACE_SNAP_M} m from any mapped trail.`);
+    return;
+  }
+  placeNames.set(node, opt.label);
+  if (getRouteMode() === 'loop') which = 'start'; // a loop only has a start
+  // A stop needs a start and an end around it; until then it fills the gap
+  if (which === 'stop' && waypoints.length < 2) which = waypoints.length ? 'end' : 'start';
+
+  if (which === 'stop') {
+    waypoints.splice(waypoints.length - 1, 0, node);
+  } else if (which === 'start') {
+    if (getRouteMode() === 'loop' || !waypoints.length) waypoints = [node];
+    else waypoints[0] = node;
+    if (pendingEnd && getRouteMode() !== 'loop') { waypoints.push(pendingEnd); pendingEnd = null; }
+  } else if (!waypoints.length) {
+    pendingEnd = node;
+    announcePlace(`End set to ${opt.label}. Now choose where to start.`);
+    document.getElementById('place-start').focus();
+    return;
+  } else if (waypoints.length === 1) {
+    waypoints.push(node);
+  } else {
+    waypoints[waypoints.length - 1] = node;
+  }
 
-    return; // END of PASS 1
+  renderWaypoints();
+  solveRoute();
+  if (which === 'start' && waypoints.length === 1 && getRouteMode() !== 'loop') {
+    announcePlace(`Start set to ${opt.label}. Now choose where to end.`);
+    document.getElementById('place-end').focus();
+  } else {
+    // The route summary itself is announced via #route-status
+    announcePlace(which === 'stop' ? `Stop added at ${opt.label}.` : `${which === 'start' ? 'Start' : 'End'} set to ${opt.label}.`);
   }
+}
 
-  // Third click → restart with a new start node
-  startNode = node;
-  endNode = null;
-  clearRouteGraphics();
-  addMarker('start', nodeKeyToCoord.get(startNode), markerPal.markerStart);
-  showRouteHint('Now click an end point.');
+// ─────────────────────────────────────────────────────────────
+// Benches and toilets along the selected route, in walking order
+// ─────────────────────────────────────────────────────────────
+const FACILITY_KINDS = { bench: 'benches', toilet: 'toilets' }; // kind → plural for "none" rows
+const FACILITY_NEAR_M = 100; // how far off the route still counts as "on the way"
+
+function routeFacilities(alt) {
+  const line = turf.lineString(alt.path.map(k => nodeKeyToCoord.get(k)));
+  return places
+    .filter(p => p.kind in FACILITY_KINDS)
+    .map(p => {
+      const hit = turf.nearestPointOnLine(line, turf.point(p.coord), { units: 'meters' });
+      return { ...p, offM: hit.properties.dist, alongM: hit.properties.location };
+    })
+    .filter(p => p.offM <= FACILITY_NEAR_M)
+    .sort((a, b) => a.alongM - b.alongM);
+}
+
+function renderRouteFacilities(alt) {
+  const box = document.getElementById('route-facilities');
+  const list = document.getElementById('route-facilities-list');
+  if (!box || !list) return;
+  const found = routeFacilities(alt);
+  const rows = found.map(p =>
+    `<li>${POI_KINDS[p.kind].emoji} <b>${escapeHtml(p.name)}</b> — ${formatDistance(p.alongM)} in` +
+    `${p.offM >= 10 ? `, ${formatDistance(p.offM)} off the route` : ''}</li>`);
+  // Say so when a kind is missing, rather than leaving people to guess
+  Object.entries(FACILITY_KINDS).filter(([kind]) => !found.some(p => p.kind === kind)).forEach(([kind, plural]) => {
+    rows.push(`<li>${POI_KINDS[kind].emoji} No ${plural} within ${FACILITY_NEAR_M} m of this route.</li>`);
+  });
+  list.innerHTML = rows.join('');
+  box.hidden = false;
+}
+
+// POI info panel buttons: "Start here" / "Add as a stop" / "End here"
+routeActions.usePlace = (which, place) => {
+  choosePlace(which, { label: place.label, node: () => snapToTrail(place.coord[0], place.coord[1], PLACE_SNAP_M) });
+};
+
+const startBox = makeCombobox(document.getElementById('place-start'), document.getElementById('place-start-list'),
+  { search: searchPlaces, onSelect: (opt) => choosePlace('start', opt), announce: announcePlace });
+const endBox = makeCombobox(document.getElementById('place-end'), document.getElementById('place-end-list'),
+  { search: searchPlaces, onSelect: (opt) => choosePlace('end', opt), announce: announcePlace });
+
+document.getElementById('clear-routing').addEventListener('click', () => {
+  startBox.clear();
+  endBox.clear();
+  pendingEnd = null;
+  announcePlace('');
+});
+
+// A loop needs only a start
+document.querySelectorAll('#toolbox input[name="route-mode"]').forEach(radio => {
+  radio.addEventListener('change', () => {
+    document.getElementById('place-end-row').hidden = getRouteMode() === 'loop';
+  });
+});
+
+// ─────────────────────────────────────────────────────────────
+// Shared link: re-solve the route it describes (same snapping as clicks)
+// ─────────────────────────────────────────────────────────────
+if (urlState.route.length) {
+  const linkedAlt = urlState.alt;
+  waypoints = urlState.route.map(c => snapToTrail(c[0], c[1])).filter(Boolean);
+  if (linkedAlt) selectedAltId = linkedAlt;
+  renderWaypoints();
+  solveRoute();
+}
+
+// ─────────────────────────────────────────────────────────────
+// Map click handler for routing (each click adds the next waypoint)
+// ─────────────────────────────────────────────────────────────
+map.on('click', (e) => {
+  if (!routingActive) return; // only active when user pressed "Start Routing"
+
+  // Clicking a POI icon uses the POI itself (and its name) as the waypoint
+  const poiHit = map.queryRenderedFeatures(e.point, { layers: ['pois-layer'] })[0];
+  if (poiHit) {
+    const poi = poiFromFeature(poiHit);
+    const node = snapToTrail(poi.coord[0], poi.coord[1], PLACE_SNAP_M);
+    if (!node) { showRouteHint(`${poi.name} is more than ${PLACE_SNAP_M} m from any mapped trail.`); return; }
+    placeNames.set(node, poi.name);
+    addWaypoint(node);
+    return;
+  }
+
+  const node = snapToTrail(e.lngLat.lng, e.lngLat.lat);
+  if (!node) { showRouteHint(SNAP_TOO_FAR_MSG); return; }
+  addWaypoint(node);
 });
 
 // ─────────────────────────────────────────────────────────────
@@ -1215,3 +4850,26 @@ function startMapTour() {
 
 // Expose globally (called from welcome popup)
 window.startMapTour = startMapTour;
+
+// ─────────────────────────────────────────────────────────────
+// Offline support: register the service worker (pre-caches trail data,
+// photos and libraries) and say when we're running from the saved copy
+// ─────────────────────────────────────────────────────────────
+if ('serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('sw.js').catch(err => {
+      console.error('Service worker registration failed:', err && (err.name + ': ' + err.message));
+    });
+  });
+}
+
+function updateOfflineBanner() {
+  const banner = document.getElementById('offline-banner');
+  if (!banner) return;
+  banner.hidden = navigator.onLine;
+  banner.textContent = navigator.onLine ? '' :
+    'You are offline. Trails, info panels and routing use the saved data; the base map only shows areas viewed before.';
+}
+window.addEventListener('online', updateOfflineBanner);
+window.addEventListener('offline', updateOfflineBanner);
+updateOfflineBanner();
@@ -0,0 +1,312 @@
+// ─────────────────────────────────────────────────────────────
+// Heights and gradients from the 10 m contour lines (ELEV). Heights
+// come from where a line crosses the contours, so ascent/descent are
+// in 10 m steps; points between contours are read off the map.
+//
+// Browser: loaded before app.js, exposes window.HolyroodElevation
+//          (route profile, GPX heights, routing edge grades, the
+//          gradient limit and colour-by-gradient).
+// Node:    node elevation.js [contours.geojson] [trails.geojson] [--json]
+//          node elevation.js [contours.geojson] --at lng,lat
+//          Defaults to the bundled files; prints each section's gradients.
+// ─────────────────────────────────────────────────────────────
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.HolyroodElevation = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const CONTOUR_INTERVAL_M = 10;
+  const GRADIENT_RUN_M = 20; // gradients are measured over at least this much path
+
+  // Local flat projection (metres) around the park; plenty accurate at this scale
+  const M_PER_DEG_LAT = 110574;
+  const M_PER_DEG_LNG = 111320 * Math.cos(55.947 * Math.PI / 180);
+
+  // Contour segments bucketed in a metre grid for elevationAt (built on first use)
+  const CONTOUR_CELL_M = 100;
+  const CONTOUR_SEARCH_M = 300; // no contour this close → no estimate
+  const ELEVATION_RAYS = 12;    // directions looked along from a point (in opposite pairs)
+
+  /** Great-circle metres between two [lng,lat] (same formula and radius as turf.distance). */
+  function distanceM(a, b) {
+    const rad = Math.PI / 180;
+    const dLat = (b[1] - a[1]) * rad, dLng = (b[0] - a[0]) * rad;
+    const h = Math.sin(dLat / 2) ** 2 + Math.sin(dLng / 2) ** 2 * Math.cos(a[1] * rad) * Math.cos(b[1] * rad);
+    return 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h)) * 6371008.8;
+  }
+
+  /** Metres from the start of a line to each of its vertices. */
+  function vertexDistances(coords) {
+    const d = [0];
+    for (let i = 1; i < coords.length; i++) d.push(d[i-1] + distanceM(coords[i-1], coords[i]));
+    return d;
+  }
+
+  /**
+   * Contours FeatureCollection → the contours every other function here takes:
+   * { segs: [[ax, ay, bx, by, elev], …] }. Lines without a numeric ELEV are skipped.
+   */
+  function parseContours(contoursFC) {
+    const segs = [];
+    contoursFC.features.forEach(f => {
+      const elev = Number(f.properties?.ELEV);
+      if (!isFinite(elev) || !f.geometry) return;
+      const lines = f.geometry.type === 'MultiLineString' ? f.geometry.coordinates : [f.geometry.coordinates];
+      lines.forEach(line => {
+        for (let i = 0; i < line.length - 1; i++) {
+          segs.push([line[i][0], line[i][1], line[i+1][0], line[i+1][1], elev]);
+        }
+      });
+    });
+    return { segs, grid: null };
+  }
+
+  function buildGrid(contours) {
+    const grid = new Map();
+    contours.segs.forEach(s => {
+      const seg = [s[0] * M_PER_DEG_LNG, s[1] * M_PER_DEG_LAT, s[2] * M_PER_DEG_LNG, s[3] * M_PER_DEG_LAT, s[4]];
+      for (let cx = Math.floor(Math.min(seg[0], seg[2]) / CONTOUR_CELL_M); cx <= Math.floor(Math.max(seg[0], seg[2]) / CONTOUR_CELL_M); cx++)
+        for (let cy = Math.floor(Math.min(seg[1], seg[3]) / CONTOUR_CELL_M); cy <= Math.floor(Math.max(seg[1], seg[3]) / CONTOUR_CELL_M); cy++) {
+          const c = `${cx},${cy}`;
+          if (!grid.has(c)) grid.set(c, []);
+          grid.get(c).push(seg);
+        }
+    });
+    return grid;
+  }
+
+  /**
+   * Estimated ground height (m) at a [lng,lat], read as you would off a map: along each
+   * line through the point, between the first contour either side, in proportion to the
+   * distance to each. Shorter (steeper) spans count for more. On a hilltop, in a hollow
+   * or on a ridge where both sides meet the same contour, that contour's height.
+   * null without contours, or if none is within CONTOUR_SEARCH_M.
+   */
+  function elevationAt(contours, coord) {
+    if (!contours) return null;
+    if (!contours.grid) contours.grid = buildGrid(contours);
+    const x = coord[0] * M_PER_DEG_LNG, y = coord[1] * M_PER_DEG_LAT;
+    const r = Math.ceil(CONTOUR_SEARCH_M / CONTOUR_CELL_M);
+    const cx0 = Math.floor(x / CONTOUR_CELL_M), cy0 = Math.floor(y / CONTOUR_CELL_M);
+    const segs = new Set();
+    for (let cx = cx0 - r; cx <= cx0 + r; cx++) {
+      for (let cy = cy0 - r; cy <= cy0 + r; cy++) {
+        contours.grid.get(`${cx},${cy}`)?.forEach(seg => segs.add(seg));
+      }
+    }
+
+    // First contour crossed along each ray → { d, elev }
+    const hits = Array.from({ length: ELEVATION_RAYS }, (_, i) => {
+      const angle = (2 * Math.PI * i) / ELEVATION_RAYS;
+      const ex = x + CONTOUR_SEARCH_M * Math.cos(angle), ey = y + CONTOUR_SEARCH_M * Math.sin(angle);
+      let hit = null;
+      segs.forEach(s => {
+        const t = segmentCrossing(x, y, ex, ey, s[0], s[1], s[2], s[3]);
+        if (t !== null && (!hit || t * CONTOUR_SEARCH_M < hit.d)) hit = { d: t * CONTOUR_SEARCH_M, elev: s[4] };
+      });
+      return hit;
+    });
+
+    let sum = 0, weight = 0, nearest = null;
+    for (let i = 0; i < ELEVATION_RAYS / 2; i++) {
+      const a = hits[i], b = hits[i + ELEVATION_RAYS / 2];
+      [a, b].forEach(h => { if (h && (!nearest || h.d < nearest.d)) nearest = h; });
+      if (!a || !b || a.elev === b.elev) continue;
+      const span = Math.max(a.d + b.d, 1);
+      const w = 1 / (span * span);
+      sum += w * (a.elev + (b.elev - a.elev) * (a.d / span));
+      weight += w;
+    }
+    if (weight) return sum / weight;
+    return nearest ? nearest.elev : null;
+  }
+
+  /**
+   * Where segment a→b crosses segment c→d, as a fraction (0–1) along a→b.
+   * Returns null if they don't cross. Planar lng/lat maths is fine at park scale.
+   */
+  function segmentCrossing(ax, ay, bx, by, cx, cy, dx, dy) {
+    const rx = bx - ax, ry = by - ay, sx = dx - cx, sy = dy - cy;
+    const denom = rx * sy - ry * sx;
+    if (denom === 0) return null; // parallel
+    const t = ((cx - ax) * sy - (cy - ay) * sx) / denom;
+    const u = ((cx - ax) * ry - (cy - ay) * rx) / denom;
+    return (t >= 0 && t <= 1 && u >= 0 && u <= 1) ? t : null;
+  }
+
+  /**
+   * Elevation samples along a route (array of [lng,lat]).
+   * Returns [{ d, elev }] in travel order; d = metres from the start.
+   * Empty without contours.
+   */
+  function routeElevationSamples(contours, coords) {
+    const samples = [];
+    if (!contours) return samples;
+
+    let travelled = 0;
+    for (let i = 0; i < coords.length - 1; i++) {
+      const [ax, ay] = coords[i], [bx, by] = coords[i+1];
+      const len = distanceM(coords[i], coords[i+1]);
+      const minX = Math.min(ax, bx), maxX = Math.max(ax, bx);
+      const minY = Math.min(ay, by), maxY = Math.max(ay, by);
+
+      const hits = [];
+      for (const s of contours.segs) {
+        // Cheap bounding-box reject before the exact test
+        if (Math.max(s[0], s[2]) < minX || Math.min(s[0], s[2]) > maxX) continue;
+        if (Math.max(s[1], s[3]) < minY || Math.min(s[1], s[3]) > maxY) continue;
+        const t = segmentCrossing(ax, ay, bx, by, s[0], s[1], s[2], s[3]);
+        if (t !== null) hits.push({ d: travelled + t * len, elev: s[4] });
+      }
+      hits.sort((a, b) => a.d - b.d);
+      samples.push(...hits);
+      travelled += len;
+    }
+
+    // A crossing exactly on a shared vertex is found twice; keep one
+    return samples.filter((s, i) => i === 0 || s.elev !== samples[i-1].elev || s.d - samples[i-1].d > 1);
+  }
+
+  /** Total ascent/descent in metres from consecutive contour samples. */
+  function ascentDescent(samples) {
+    let up = 0, down = 0;
+    for (let i = 1; i < samples.length; i++) {
+      const dz = samples[i].elev - samples[i-1].elev;
+      if (dz > 0) up += dz; else down -= dz;
+    }
+    return { up, down };
+  }
+
+  /** Interpolated elevation at distance d (clamped to the first/last crossing). */
+  function elevationAtDistance(samples, d) {
+    if (!samples.length) return null;
+    if (d <= samples[0].d) return samples[0].elev;
+    for (let i = 1; i < samples.length; i++) {
+      const a = samples[i-1], b = samples[i];
+      if (d <= b.d) return a.elev + (b.elev - a.elev) * ((d - a.d) / ((b.d - a.d) || 1));
+    }
+    return samples[samples.length - 1].elev;
+  }
+
+  /**
+   * Height (m) at each vertex of a line. Between the points where it crosses the contours
+   * heights are interpolated (exact 10 m steps); only the two ends use elevationAt,
+   * kept within one contour interval of the nearest crossing. All null if unknown.
+   */
+  function lineHeights(contours, coords) {
+    if (!contours) return coords.map(() => null);
+    const d = vertexDistances(coords);
+    const total = d[d.length - 1];
+    const crossings = routeElevationSamples(contours, coords);
+
+    // An end is within one interval of the crossing next to it, and on the far side
+    // from the crossing after that (heights rising away from the end → it is lower)
+    const endHeight = (coord, near, after) => {
+      const est = elevationAt(contours, coord);
+      if (!near) return est;
+      const away = after ? Math.sign(after.elev - near.elev) : 0;
+      const lo = near.elev - (away >= 0 ? CONTOUR_INTERVAL_M : 0);
+      const hi = near.elev + (away <= 0 ? CONTOUR_INTERVAL_M : 0);
+      return est === null ? near.elev : Math.min(hi, Math.max(lo, est));
+    };
+    const n = crossings.length;
+    const start = endHeight(coords[0], crossings[0], crossings[1]);
+    let end = endHeight(coords[coords.length - 1], crossings[n - 1], crossings[n - 2]);
+    // No crossing at all: both ends are within one interval of each other
+    if (!n && start !== null && end !== null) end = Math.min(start + CONTOUR_INTERVAL_M, Math.max(start - CONTOUR_INTERVAL_M, end));
+    if (start === null || end === null) return coords.map(() => null);
+
+    const samples = [{ d: 0, elev: start }, ...crossings, { d: total, elev: end }];
+    return d.map(x => elevationAtDistance(samples, x));
+  }
+
+  /**
+   * Gradient (rise over run; + is uphill in the line's direction) for each step of a
+   * line, measured over GRADIENT_RUN_M centred on the step so that contour
+   * interpolation on very short steps doesn't read as a cliff.
+   * heights: metres per vertex (null where unknown; those steps get 0).
+   */
+  function lineGradients(coords, heights) {
+    const d = vertexDistances(coords);
+    const total = d[d.length - 1];
+    const heightAt = (x) => {
+      for (let i = 1; i < d.length; i++) {
+        if (x > d[i] && i < d.length - 1) continue;
+        if (heights[i-1] === null || heights[i] === null) return null;
+        return heights[i-1] + (heights[i] - heights[i-1]) * ((x - d[i-1]) / ((d[i] - d[i-1]) || 1));
+      }
+      return heights[0];
+    };
+    return coords.slice(1).map((c, i) => {
+      const mid = (d[i] + d[i+1]) / 2;
+      const a = Math.max(0, Math.min(mid - GRADIENT_RUN_M / 2, total - GRADIENT_RUN_M));
+      const b = Math.min(total, a + GRADIENT_RUN_M);
+      const za = heightAt(a), zb = heightAt(b);
+      // A line shorter than the run is still treated as GRADIENT_RUN_M long
+      return (za === null || zb === null || b <= a) ? 0 : (zb - za) / Math.max(b - a, GRADIENT_RUN_M);
+    });
+  }
+
+  /**
+   * Steepest and length-weighted average gradient of a line, in whole percent
+   * ({ max, avg }), either way of travel. null if its heights are unknown.
+   */
+  function lineGradientSummary(contours, coords) {
+    const heights = lineHeights(contours, coords);
+    if (heights[0] === null) return null;
+    let steepest = 0, climbed = 0, length = 0;
+    lineGradients(coords, heights).forEach((grade, i) => {
+      const m = distanceM(coords[i], coords[i+1]);
+      steepest = Math.max(steepest, Math.abs(grade));
+      climbed += Math.abs(grade) * m;
+      length += m;
+    });
+    return { max: Math.round(steepest * 100), avg: length ? Math.round((climbed / length) * 100) : 0 };
+  }
+
+  return {
+    parseContours, elevationAt, routeElevationSamples, ascentDescent, elevationAtDistance,
+    lineHeights, lineGradients, lineGradientSummary, distanceM, CONTOUR_INTERVAL_M
+  };
+});
+
+// ── Node entry point ──
+if (typeof require === 'function' && typeof module === 'object' && require.main === module) {
+  const fs = require('fs');
+  const path = require('path');
+  const { parseContours, elevationAt, lineGradientSummary } = module.exports;
+
+  const args = process.argv.slice(2);
+  const asJson = args.includes('--json');
+  const atIndex = args.indexOf('--at');
+  const at = atIndex >= 0 ? String(args[atIndex + 1] ?? '').split(',').map(Number) : null;
+  if (at && (at.length !== 2 || !at.every(Number.isFinite))) {
+    console.error('Usage: node elevation.js [contours.geojson] --at lng,lat   (e.g. --at -3.1617,55.9441)');
+    process.exit(2);
+  }
+  const files = args.filter((a, i) => a !== '--json' && (atIndex < 0 || (i !== atIndex && i !== atIndex + 1)));
+  const contoursPath = files[0] || path.join(__dirname, 'contours_10m.geojson');
+  const trailsPath = files[1] || path.join(__dirname, 'trails_webmap_v6.geojson');
+
+  const read = (p) => JSON.parse(fs.readFileSync(p, 'utf8'));
+  const contours = parseContours(read(contoursPath));
+
+  if (at) {
+    const z = elevationAt(contours, at);
+    console.log(z === null ? `No contour within reach of ${at.join(',')}` : `${at.join(',')}: about ${Math.round(z)} m`);
+  } else {
+    const sections = read(trailsPath).features
+      .filter(f => f.geometry?.type === 'LineString')
+      .map(f => ({ seg_id: f.properties?.seg_id ?? null, gradient: lineGradientSummary(contours, f.geometry.coordinates) }));
+    if (asJson) {
+      console.log(JSON.stringify(sections, null, 2));
+    } else {
+      const measured = sections.filter(s => s.gradient).sort((a, b) => b.gradient.max - a.gradient.max);
+      const lines = [`${path.basename(trailsPath)} on ${path.basename(contoursPath)}`, '',
+        `${measured.length} section(s) measured, ${sections.length - measured.length} with unknown heights`, ''];
+      measured.forEach(s => lines.push(`  seg ${s.seg_id}: steepest ${s.gradient.max}%, average ${s.gradient.avg}%`));
+      console.log(lines.join('\n'));
+    }
+  }
+}
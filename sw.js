@@ -0,0 +1,135 @@
+// ─────────────────────────────────────────────────────────────
+// Service worker: keeps the map, info panels and routing working on
+// the hill with no signal.
+// - App shell, libraries, trail data and photos are pre-cached on install
+// - Trail data is network-first (fresh when there is signal, cached otherwise)
+// - Base map style/sprites/glyphs/tiles are cached as they are viewed
+// Bump CACHE_VERSION whenever the files below change so old caches are dropped.
+// ─────────────────────────────────────────────────────────────
+const CACHE_VERSION = 'v4';
+const PRECACHE = `holyrood-precache-${CACHE_VERSION}`;
+const RUNTIME = `holyrood-runtime-${CACHE_VERSION}`;
+
+const RAW = 'https://raw.githubusercontent.com/3070271J/holyrood-trails/';
+
+// Keep in step with the *_URL constants and photo maps in app.js
+const DATA_URLS = [
+  `${RAW}refs/heads/main/trails_webmap_v6.geojson`,
+  `${RAW}refs/heads/main/routing_full_v3.geojson`,
+  `${RAW}main/contours_10m.geojson`,
+  `${RAW}refs/heads/main/gazetteer.geojson`,
+  `${RAW}refs/heads/main/pois.geojson`,
+  `${RAW}refs/heads/main/closures.geojson`
+];
+
+const PHOTO_URLS = ['wood', 'grassland', 'scrub', 'grass', 'dirt', 'gravel', 'asphalt']
+  .map(name => `${RAW}main/${name}.jpg`);
+
+const LIBRARY_URLS = [
+  'https://api.mapbox.com/mapbox-gl-js/v2.15.0/mapbox-gl.js',
+  'https://api.mapbox.com/mapbox-gl-js/v2.15.0/mapbox-gl.css',
+  'https://cdn.jsdelivr.net/npm/@turf/turf@6/turf.min.js',
+  'https://cdnjs.cloudflare.com/ajax/libs/graphlib/2.1.8/graphlib.min.js'
+];
+
+const SHELL_URLS = ['./', 'index.html', 'styles.css', 'validate.js', 'elevation.js', 'app.js', 'manifest.webmanifest', 'icon.svg'];
+
+const NETWORK_TIMEOUT_MS = 4000; // a weak signal shouldn't leave the map blank
+const MAX_RUNTIME_ENTRIES = 2000; // base map tiles add up quickly
+
+// The app shell must all be cached for install to succeed. Other hosts are added one by
+// one, so a single missing photo or data file doesn't leave the whole app uncached
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(PRECACHE)
+      .then(cache => cache.addAll(SHELL_URLS).then(() =>
+        Promise.all([...LIBRARY_URLS, ...DATA_URLS, ...PHOTO_URLS].map(url =>
+          cache.add(url).catch(err => console.warn('Not pre-cached:', url, err && err.message))))))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drop caches from earlier versions
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(k => k.startsWith('holyrood-') && k !== PRECACHE && k !== RUNTIME)
+        .map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const req = event.request;
+  if (req.method !== 'GET') return;
+  const url = new URL(req.url);
+
+  if (url.origin === self.location.origin || url.pathname.endsWith('.geojson')) {
+    event.respondWith(networkFirst(req));
+  } else if (url.hostname === 'api.mapbox.com' && !url.pathname.startsWith('/mapbox-gl-js/')) {
+    event.respondWith(networkFirst(req, mapboxCacheKey(url)));
+  } else if (url.hostname === 'raw.githubusercontent.com' || LIBRARY_URLS.includes(req.url) ||
+             url.hostname.endsWith('fonts.googleapis.com') || url.hostname.endsWith('fonts.gstatic.com')) {
+    event.respondWith(cacheFirst(req));
+  }
+  // Anything else (e.g. Mapbox telemetry) goes straight to the network
+});
+
+// Mapbox adds a per-session `sku` to tile URLs; leave it out of the cache key
+function mapboxCacheKey(url) {
+  const key = new URL(url);
+  key.searchParams.delete('sku');
+  return key.href;
+}
+
+/** Try the network (with a timeout), fall back to any cached copy. */
+async function networkFirst(req, key = req) {
+  const network = fetch(req).then(async res => {
+    if (res.ok) await putRuntime(key, res.clone());
+    return res;
+  });
+  try {
+    return await withTimeout(network, NETWORK_TIMEOUT_MS);
+  } catch (err) {
+    const cached = await caches.match(key, { ignoreVary: true }) ||
+      // Offline navigation (any query string) → serve the app shell
+      (req.mode === 'navigate' && await caches.match('index.html'));
+    if (!cached) return network; // nothing saved yet: keep waiting on the network
+    network.catch(() => {});     // a late failure no longer matters
+    return cached;
+  }
+}
+
+/** Serve from cache when present, otherwise fetch and keep a copy. */
+async function cacheFirst(req) {
+  const cached = await caches.match(req, { ignoreVary: true });
+  if (cached) return cached;
+  const res = await fetch(req);
+  if (res.ok || res.type === 'opaque') await putRuntime(req, res.clone());
+  return res;
+}
+
+// Precached files are refreshed in place; everything else goes to the runtime cache
+let putsSinceTrim = 0;
+async function putRuntime(key, res) {
+  const href = typeof key === 'string' ? key : key.url;
+  const precache = await caches.open(PRECACHE);
+  if (await precache.match(href)) return precache.put(key, res);
+  const cache = await caches.open(RUNTIME);
+  await cache.put(key, res);
+  if (++putsSinceTrim < 50) return;
+  putsSinceTrim = 0;
+  const keys = await cache.keys(); // oldest first (insertion order)
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_RUNTIME_ENTRIES)).map(k => cache.delete(k)));
+}
+
+function withTimeout(promise, ms) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('Network timeout')), ms);
+    promise.then(
+      res => { clearTimeout(timer); resolve(res); },
+      err => { clearTimeout(timer); reject(err); }
+    );
+  });
+}
@@ -0,0 +1,178 @@
+// ─────────────────────────────────────────────────────────────
+// Consistency checker: display layer (trails_webmap) vs routing graph
+// (routing_full). The map colours trails by `difficulty`, routing derives
+// difficulty from `total_score`; this reports where the two disagree.
+//
+// Browser: loaded before app.js, exposes window.HolyroodValidate (used by
+//          the "Check data consistency" maintainer panel).
+// Node:    node validate.js [trails.geojson] [routing.geojson] [--json]
+//          Defaults to the bundled latest files; exits 1 if any errors.
+// ─────────────────────────────────────────────────────────────
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.HolyroodValidate = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // Same bands as scoreToDifficulty in app.js (the app passes its own in)
+  function scoreToDifficulty(score) {
+    if (score <= 3) return 'easy';
+    if (score <= 5) return 'moderate';
+    if (score <= 7) return 'challenging';
+    return 'extreme';
+  }
+
+  // Attributes each layer needs for styling, the info panel and routing rules
+  const REQUIRED = {
+    display: ['difficulty', 'slope_class', 'vertigo', 'has_steps', 'surface_score'],
+    routing: ['total_score', 'slope_class', 'vertigo', 'has_steps', 'surface_score']
+  };
+  // Missing these only weakens wording or photos, so they are warnings
+  const RECOMMENDED = {
+    display: ['surface', 'exposed'],
+    routing: ['exposed']
+  };
+  // Carried by both layers; routing bans and info panel warnings should agree
+  const SHARED_ATTRS = ['vertigo', 'slope_class', 'has_steps', 'surface_score', 'natural',
+    'smoothness', 'trail_visibility', 'exposed'];
+
+  const CHECKS = {
+    'missing-seg-id':      { level: 'error',   label: 'Features without a seg_id' },
+    'duplicate-seg-id':    { level: 'error',   label: 'seg_ids drawn more than once' },
+    'routing-only':        { level: 'error',   label: 'Routing sections with no display counterpart' },
+    'display-only':        { level: 'warning', label: 'Displayed sections the route finder cannot use' },
+    'difficulty-mismatch': { level: 'error',   label: 'Shown difficulty ≠ difficulty routed from total_score' },
+    'score-mismatch':      { level: 'error',   label: 'Routing pieces or labels that disagree on the score' },
+    'attribute-mismatch':  { level: 'warning', label: 'Attributes that differ between the two layers' },
+    'missing-attribute':   { level: 'error',   label: 'Required attributes missing' },
+    'missing-recommended': { level: 'warning', label: 'Recommended attributes missing' }
+  };
+
+  const isMissing = (v) => v === null || v === undefined || v === '';
+  const sameValue = (a, b) => String(a ?? '') === String(b ?? '');
+
+  function groupBySeg(fc, layer, issues) {
+    const bySeg = new Map();
+    fc.features.forEach((f, i) => {
+      const id = f.properties?.seg_id;
+      if (isMissing(id)) {
+        issues.push({ code: 'missing-seg-id', seg_id: null, message: `${layer} feature #${i} has no seg_id` });
+        return;
+      }
+      if (!bySeg.has(id)) bySeg.set(id, []);
+      bySeg.get(id).push(f.properties);
+    });
+    return bySeg;
+  }
+
+  function checkAttributes(bySeg, layer, issues) {
+    bySeg.forEach((pieces, id) => {
+      const missing = REQUIRED[layer].filter(k => pieces.some(p => isMissing(p[k])));
+      if (missing.length) issues.push({ code: 'missing-attribute', seg_id: id, message: `${layer}: no ${missing.join(', ')}` });
+      const weak = RECOMMENDED[layer].filter(k => pieces.some(p => isMissing(p[k])));
+      if (weak.length) issues.push({ code: 'missing-recommended', seg_id: id, message: `${layer}: no ${weak.join(', ')}` });
+    });
+  }
+
+  /**
+   * Compare the display and routing FeatureCollections.
+   * @param {object} displayFC  trails_webmap GeoJSON
+   * @param {object} routingFC  routing_full GeoJSON
+   * @param {{ scoreToDifficulty?: (score:number) => string }} [options]
+   * @returns {{ issues: {code, level, seg_id, message}[],
+   *             counts: Object<string, number>, errors: number, warnings: number }}
+   */
+  function validateDatasets(displayFC, routingFC, options = {}) {
+    const toDifficulty = options.scoreToDifficulty || scoreToDifficulty;
+    const issues = [];
+
+    const display = groupBySeg(displayFC, 'display', issues);
+    const routing = groupBySeg(routingFC, 'routing', issues);
+
+    display.forEach((features, id) => {
+      if (features.length > 1) issues.push({ code: 'duplicate-seg-id', seg_id: id, message: `display has ${features.length} features` });
+      if (!routing.has(id)) issues.push({ code: 'display-only', seg_id: id, message: 'not in the routing graph' });
+    });
+
+    routing.forEach((pieces, id) => {
+      const shown = display.get(id)?.[0];
+      if (!shown) {
+        issues.push({ code: 'routing-only', seg_id: id, message: `${pieces.length} routing piece(s), nothing drawn` });
+        return;
+      }
+
+      const scores = [...new Set(pieces.map(p => p.total_score).filter(s => !isMissing(s)))];
+      if (scores.length > 1) {
+        issues.push({ code: 'score-mismatch', seg_id: id, message: `routing pieces have total_score ${scores.join(' / ')}` });
+      }
+      scores.forEach(score => {
+        const routed = toDifficulty(Number(score));
+        if (!isMissing(shown.difficulty) && shown.difficulty !== routed) {
+          issues.push({ code: 'difficulty-mismatch', seg_id: id, message: `shown ${shown.difficulty}, routed ${routed} (total_score ${score})` });
+        }
+        const labelled = pieces.find(p => !isMissing(p.difficulty) && p.difficulty !== routed);
+        if (labelled) {
+          issues.push({ code: 'score-mismatch', seg_id: id, message: `routing labels it ${labelled.difficulty} but total_score ${score} means ${routed}` });
+        }
+      });
+
+      SHARED_ATTRS.forEach(k => {
+        if (!(k in shown)) return; // attribute not surveyed in this display version
+        const differs = pieces.find(p => (k in p) && !sameValue(p[k], shown[k]));
+        if (differs) {
+          issues.push({ code: 'attribute-mismatch', seg_id: id, message: `${k}: display ${shown[k] ?? '—'}, routing ${differs[k] ?? '—'}` });
+        }
+      });
+    });
+
+    checkAttributes(display, 'display', issues);
+    checkAttributes(routing, 'routing', issues);
+
+    issues.forEach(issue => { issue.level = CHECKS[issue.code].level; });
+    issues.sort((a, b) => (a.level === b.level ? 0 : a.level === 'error' ? -1 : 1) || ((a.seg_id ?? -1) - (b.seg_id ?? -1)));
+
+    const counts = Object.fromEntries(Object.keys(CHECKS).map(code => [code, 0]));
+    issues.forEach(issue => { counts[issue.code]++; });
+    return {
+      issues,
+      counts,
+      errors: issues.filter(i => i.level === 'error').length,
+      warnings: issues.filter(i => i.level === 'warning').length
+    };
+  }
+
+  /** Plain-text report (Node output, downloads). */
+  function formatReport(result) {
+    const lines = [`${result.errors} error(s), ${result.warnings} warning(s)`, ''];
+    Object.entries(CHECKS).forEach(([code, check]) => {
+      const found = result.issues.filter(i => i.code === code);
+      if (!found.length) return;
+      lines.push(`${check.level.toUpperCase()} ${check.label} (${found.length})`);
+      found.forEach(i => lines.push(`  ${i.seg_id === null ? '' : `seg ${i.seg_id}: `}${i.message}`));
+      lines.push('');
+    });
+    return lines.join('\n');
+  }
+
+  return { validateDatasets, formatReport, scoreToDifficulty, CHECKS };
+});
+
+// ── Node entry point ──
+if (typeof require === 'function' && typeof module === 'object' && require.main === module) {
+  const fs = require('fs');
+  const path = require('path');
+  const { validateDatasets, formatReport } = module.exports;
+
+  const args = process.argv.slice(2);
+  const asJson = args.includes('--json');
+  const files = args.filter(a => a !== '--json');
+  const trailsPath = files[0] || path.join(__dirname, 'trails_webmap_v6.geojson');
+  const routingPath = files[1] || path.join(__dirname, 'routing_full_v3.geojson');
+
+  const read = (p) => JSON.parse(fs.readFileSync(p, 'utf8'));
+  const result = validateDatasets(read(trailsPath), read(routingPath));
+  console.log(asJson
+    ? JSON.stringify(result, null, 2)
+    : `${path.basename(trailsPath)} vs ${path.basename(routingPath)}\n\n${formatReport(result)}`);
+  process.exitCode = result.errors ? 1 : 0;
+}